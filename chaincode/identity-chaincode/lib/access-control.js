@@ -0,0 +1,44 @@
+'use strict';
+
+// Roles a caller can hold. They come from the `role` attribute of the caller's
+// enrollment certificate (comma separated, e.g. "registrar,auditor") and from
+// MSP-wide grants stored under ACCESS_POLICY by an admin. `owner` is never
+// granted this way: it is checked per identity against the record's owner.
+const ROLES = ['registrar', 'owner', 'auditor', 'agent', 'admin'];
+const GRANTABLE_ROLES = ROLES.filter(role => role !== 'owner');
+
+const ACCESS_POLICY_KEY = 'ACCESS_POLICY';
+
+class AccessDeniedError extends Error {
+    constructor(message) {
+        // Fabric only forwards the message to clients, so the code leads it
+        super(`ACCESS_DENIED: ${message}`);
+        this.name = 'AccessDeniedError';
+        this.code = 'ACCESS_DENIED';
+    }
+}
+
+async function readAccessPolicy(ctx) {
+    const bytes = await ctx.stub.getState(ACCESS_POLICY_KEY);
+    if (!bytes || !bytes.length) return { mspRoles: {} };
+    return JSON.parse(bytes.toString());
+}
+
+async function resolveRoles(ctx) {
+    const roles = new Set();
+    if (!ctx.clientIdentity) return roles;
+
+    const attribute = ctx.clientIdentity.getAttributeValue('role');
+    if (attribute) {
+        attribute.split(',')
+            .map(role => role.trim())
+            .filter(role => GRANTABLE_ROLES.includes(role))
+            .forEach(role => roles.add(role));
+    }
+
+    const policy = await readAccessPolicy(ctx);
+    (policy.mspRoles[ctx.clientIdentity.getMSPID()] || []).forEach(role => roles.add(role));
+    return roles;
+}
+
+module.exports = { ROLES, GRANTABLE_ROLES, ACCESS_POLICY_KEY, AccessDeniedError, readAccessPolicy, resolveRoles };
@@ -0,0 +1,100 @@
+'use strict';
+
+// Device agents and the proposals validators vote on. Every agent is stored as a
+// DeviceAgent document (device-model/device-identity-schema.json) plus ledger
+// fields. Validators also carry a weight and the Fabric identity (MSP + subject)
+// that submits their votes; RegisterIdentity opens a proposal and the identity
+// becomes active once approving validators hold two thirds of the weight
+// enrolled when it was opened.
+const deviceAgentSchema = require('./schemas/device-identity-schema.json');
+
+const AGENT_KEY_PREFIX = 'agent~id';
+const AGENT_ENROLLMENT_PREFIX = 'agentEnrollment~msp~subject';
+const PROPOSAL_KEY_PREFIX = 'proposal~id';
+// Weights of the active validators, rewritten whenever an agent changes, so a
+// registration reads one key instead of range-scanning every agent
+const ELIGIBLE_VALIDATORS_KEY = 'ELIGIBLE_VALIDATORS';
+
+const VOTING_PERIOD_SECONDS = 24 * 60 * 60;
+const VOTE_DECISIONS = ['approve', 'reject'];
+const AGENT_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_AGENT_WEIGHT = 100;
+
+// Revoked is terminal; a suspended agent can be reactivated
+const AGENT_STATE_TRANSITIONS = {
+    active: ['suspended', 'revoked'],
+    suspended: ['active', 'revoked'],
+    revoked: []
+};
+
+// Problems with the ledger fields of an agent submitted to RegisterAgent. The
+// DeviceAgent part is checked against the schema separately.
+function checkAgent(agent) {
+    if (!agent || typeof agent !== 'object' || Array.isArray(agent)) {
+        return ['Agent must be a JSON object'];
+    }
+    const problems = [];
+    if (!AGENT_ID_PATTERN.test(agent.agentId || '')) {
+        problems.push('agentId must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    if (agent.role === 'validator') {
+        if (!Number.isInteger(agent.weight) || agent.weight < 1 || agent.weight > MAX_AGENT_WEIGHT) {
+            problems.push(`weight must be an integer between 1 and ${MAX_AGENT_WEIGHT}`);
+        }
+        if (agent.enrollment === undefined) {
+            problems.push('validators need the enrollment of the client that submits their votes');
+        }
+    } else if (agent.weight !== undefined) {
+        problems.push('only validators carry a consensus weight');
+    }
+    const enrollment = agent.enrollment;
+    if (enrollment !== undefined && (!enrollment || typeof enrollment.mspId !== 'string' || !enrollment.mspId
+        || typeof enrollment.id !== 'string' || !enrollment.id)) {
+        problems.push('enrollment must name the mspId and id of the client that acts for the agent');
+    }
+    return problems;
+}
+
+// Only active agents vote or sign messages
+function isAgentActive(agent) {
+    return Boolean(agent) && agent.state === 'active';
+}
+
+// Weighted tally. Approval needs 2/3 of the eligible weight; once more than a
+// third has rejected, approval can no longer be reached.
+function tallyVotes(proposal) {
+    const totalWeight = Object.values(proposal.eligibleAgents).reduce((sum, weight) => sum + weight, 0);
+    const weightOf = decision => proposal.votes
+        .filter(vote => vote.decision === decision)
+        .reduce((sum, vote) => sum + vote.weight, 0);
+    const approveWeight = weightOf('approve');
+    const rejectWeight = weightOf('reject');
+
+    let outcome = 'open';
+    if (approveWeight * 3 >= totalWeight * 2) {
+        outcome = 'approved';
+    } else if (rejectWeight * 3 > totalWeight) {
+        outcome = 'rejected';
+    }
+    return { approveWeight, rejectWeight, totalWeight, outcome };
+}
+
+function formatVote(vote) {
+    const mark = vote.decision === 'approve' ? '✅' : '❌';
+    return `${vote.agentId} (weight ${vote.weight}): ${mark} ${vote.decision}${vote.reason ? ` - ${vote.reason}` : ''}`;
+}
+
+module.exports = {
+    deviceAgentSchema,
+    AGENT_KEY_PREFIX,
+    AGENT_ENROLLMENT_PREFIX,
+    PROPOSAL_KEY_PREFIX,
+    ELIGIBLE_VALIDATORS_KEY,
+    VOTING_PERIOD_SECONDS,
+    VOTE_DECISIONS,
+    AGENT_STATE_TRANSITIONS,
+    checkAgent,
+    isAgentActive,
+    tallyVotes,
+    formatVote
+};
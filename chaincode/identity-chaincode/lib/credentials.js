@@ -0,0 +1,86 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// W3C Verifiable Credentials anchored by IssueCredential. The dashboard builds
+// and signs the credential; the ledger fixes its status-list entry, keeps its
+// hash and tracks revocation, so a verifier never has to trust the holder's copy.
+const CREDENTIAL_KEY_PREFIX = 'credential~id';
+// Each credential claims its status-list index under its own key, so concurrent
+// issuances do not read and write one shared counter. Earlier versions counted
+// indexes up from 0 under STATUS_LIST_KEY_PREFIX; that counter is only read now.
+const STATUS_LIST_KEY_PREFIX = 'credentialStatusList~id';
+const STATUS_ENTRY_KEY_PREFIX = 'credentialStatusEntry~list~index';
+const STATUS_LIST_ID = 'revocation-1';
+// The minimum StatusList2021 length, large enough to keep index collisions rare
+const STATUS_LIST_SIZE = 131072;
+const VC_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+
+// Sorted-key JSON, so the dashboard and the chaincode hash the same bytes
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Hash of the credential without its proof
+function hashCredential(credential) {
+    const { proof, ...unsigned } = credential;
+    return crypto.createHash('sha256').update(canonicalJson(unsigned)).digest('hex');
+}
+
+// Where a credential's status-list entry goes when that index is free: derived
+// from its id within [firstIndex, STATUS_LIST_SIZE)
+function preferredStatusIndex(credentialId, firstIndex) {
+    const digest = crypto.createHash('sha256').update(credentialId).digest();
+    return firstIndex + digest.readUInt32BE(0) % (STATUS_LIST_SIZE - firstIndex);
+}
+
+// Structural problems with an unsigned credential submitted for issuance
+function checkCredential(credential, identityId) {
+    const problems = [];
+    if (!credential || typeof credential !== 'object') {
+        return ['Credential must be a JSON object'];
+    }
+    if (!Array.isArray(credential['@context']) || credential['@context'][0] !== VC_CONTEXT) {
+        problems.push(`@context must start with ${VC_CONTEXT}`);
+    }
+    if (!Array.isArray(credential.type) || !credential.type.includes('VerifiableCredential')) {
+        problems.push('type must include VerifiableCredential');
+    }
+    if (typeof credential.id !== 'string' || !credential.id) {
+        problems.push('id is required');
+    }
+    if (!credential.issuer) {
+        problems.push('issuer is required');
+    }
+    const subject = credential.credentialSubject;
+    if (!subject || typeof subject.id !== 'string') {
+        problems.push('credentialSubject.id is required');
+    } else if (subject.identityId !== identityId) {
+        problems.push(`credentialSubject.identityId must be ${identityId}`);
+    }
+    if (credential.proof) {
+        problems.push('credential must be submitted unsigned; the proof is added after anchoring');
+    }
+    return problems;
+}
+
+module.exports = {
+    CREDENTIAL_KEY_PREFIX,
+    STATUS_LIST_KEY_PREFIX,
+    STATUS_ENTRY_KEY_PREFIX,
+    STATUS_LIST_ID,
+    STATUS_LIST_SIZE,
+    preferredStatusIndex,
+    canonicalJson,
+    hashCredential,
+    checkCredential
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Challenge-response authentication of devices. The backend hands a device a
+// random nonce; the device signs the nonce's UTF-8 bytes with the private key
+// matching a public key on the ledger and returns the base64 signature as the
+// credentials of an IdentityRequest. The answer is an IdentityVerification
+// message (device-model/identity-verification-schema.json).
+const COORDINATOR_AGENT_ID = 'identityCoordinator';
+
+// ECDSA digests follow JOSE: ES256, ES384, ES512 and ES256K. `size` is the
+// byte length of r and s, which tells raw signatures from DER ones.
+const ECDSA_CURVES = {
+    prime256v1: { name: 'P-256', digest: 'sha256', size: 32 },
+    secp384r1: { name: 'P-384', digest: 'sha384', size: 48 },
+    secp521r1: { name: 'P-521', digest: 'sha512', size: 66 },
+    secp256k1: { name: 'secp256k1', digest: 'sha256', size: 32 }
+};
+
+// A PEM string (agent metadata.publicKey) or a JWK (DID verification method) as
+// a key object plus the algorithm it signs with. Throws for keys that cannot
+// authenticate a device.
+function readDeviceKey(publicKey) {
+    let key;
+    try {
+        key = typeof publicKey === 'string'
+            ? crypto.createPublicKey(publicKey)
+            : crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+    } catch (error) {
+        throw new Error(`unreadable public key: ${error.message}`);
+    }
+    if (key.asymmetricKeyType === 'ed25519') {
+        return { key, algorithm: 'Ed25519' };
+    }
+    if (key.asymmetricKeyType === 'ec') {
+        const curve = ECDSA_CURVES[key.asymmetricKeyDetails.namedCurve];
+        if (!curve) {
+            throw new Error(`unsupported ECDSA curve ${key.asymmetricKeyDetails.namedCurve}`);
+        }
+        return { key, algorithm: `ECDSA ${curve.name}`, curve };
+    }
+    throw new Error(`${key.asymmetricKeyType} keys cannot authenticate devices; use ECDSA or Ed25519`);
+}
+
+// Checks a base64 or base64url signature over a nonce or other text. ECDSA
+// signatures may be DER or raw r||s (IEEE P1363, as WebCrypto and most secure
+// elements emit them).
+function verifySignature(deviceKey, text, signature) {
+    const data = Buffer.from(String(text), 'utf8');
+    const bytes = Buffer.from(String(signature || ''), 'base64');
+    if (bytes.length === 0) {
+        return false;
+    }
+    try {
+        if (!deviceKey.curve) {
+            return crypto.verify(null, data, deviceKey.key, bytes);
+        }
+        const dsaEncoding = bytes.length === deviceKey.curve.size * 2 ? 'ieee-p1363' : 'der';
+        return crypto.verify(deviceKey.curve.digest, data, { key: deviceKey.key, dsaEncoding }, bytes);
+    } catch (error) {
+        return false;
+    }
+}
+
+// SHA-256 of the DER public key, so one key in two PEM layouts is one key
+function keyFingerprint(deviceKey) {
+    return crypto.createHash('sha256').update(deviceKey.key.export({ type: 'spki', format: 'der' })).digest('hex');
+}
+
+// Device agents keep every key they have held. A key signs from validFrom until
+// validUntil (exclusive); the current key has no validUntil.
+function newKeyEntry(keyId, publicKey, validFrom) {
+    const deviceKey = readDeviceKey(publicKey);
+    return {
+        keyId,
+        publicKey,
+        algorithm: deviceKey.algorithm,
+        fingerprint: keyFingerprint(deviceKey),
+        validFrom,
+        validUntil: null,
+        retiredReason: null
+    };
+}
+
+// Agents registered before key history was kept have only metadata.publicKey
+function keyHistoryOf(agent) {
+    if (agent.keyHistory) {
+        return agent.keyHistory;
+    }
+    return agent.metadata.publicKey ? [newKeyEntry('key-1', agent.metadata.publicKey, agent.createdAt)] : [];
+}
+
+function currentKey(history) {
+    return history.find(entry => entry.validUntil === null) || null;
+}
+
+function keyValidAt(history, time) {
+    return history.find(entry => entry.validFrom <= time && (entry.validUntil === null || time < entry.validUntil)) || null;
+}
+
+// What the current key signs to hand over to a new one. Naming the current key
+// id keeps an old statement from being replayed after a later rotation.
+function rotationStatement(agentId, currentKeyId, newPublicKey) {
+    return `RotateDeviceKey\n${agentId}\n${currentKeyId}\n${newPublicKey}`;
+}
+
+function buildIdentityVerification(deviceId, timestamp, approved, reason) {
+    return {
+        type: 'IdentityVerification',
+        from: COORDINATOR_AGENT_ID,
+        to: deviceId,
+        timestamp,
+        payload: {
+            verificationStatus: approved ? 'approved' : 'denied',
+            reason
+        }
+    };
+}
+
+module.exports = {
+    COORDINATOR_AGENT_ID,
+    readDeviceKey,
+    verifySignature,
+    newKeyEntry,
+    keyHistoryOf,
+    currentKey,
+    keyValidAt,
+    rotationStatement,
+    buildIdentityVerification
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// did:udif:<type>:<identity id>. Each registered identity can publish one DID
+// document listing its verification keys and service endpoints.
+const DID_METHOD = 'udif';
+const DID_KEY_PREFIX = 'did~type~id';
+const DID_PATTERN = /^did:udif:([a-z][a-z0-9-]{1,31}):([A-Za-z0-9._-]+)$/;
+const FRAGMENT_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const DID_CONTEXTS = ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/suites/jws-2020/v1'];
+
+// Key types a device can hold; anything else is refused at registration
+const SUPPORTED_KEY_TYPES = ['ed25519', 'ec', 'rsa'];
+
+function formatDid(type, identityId) {
+    return `did:${DID_METHOD}:${type}:${identityId}`;
+}
+
+function parseDid(did) {
+    const match = DID_PATTERN.exec(did || '');
+    return match ? { type: match[1], identityId: match[2] } : null;
+}
+
+// PEM public key (as in device-identity-schema's metadata.publicKey) to a
+// JsonWebKey2020 verification method
+function toVerificationMethod(did, { id, publicKey }) {
+    if (!FRAGMENT_PATTERN.test(id || '')) {
+        throw new Error(`Verification method id must be a short fragment such as key-1, got ${id}`);
+    }
+    let key;
+    try {
+        key = crypto.createPublicKey(publicKey);
+    } catch (error) {
+        throw new Error(`Verification method ${id} has an unreadable public key: ${error.message}`);
+    }
+    if (!SUPPORTED_KEY_TYPES.includes(key.asymmetricKeyType)) {
+        throw new Error(`Verification method ${id} uses unsupported key type ${key.asymmetricKeyType}`);
+    }
+    return {
+        id: `${did}#${id}`,
+        type: 'JsonWebKey2020',
+        controller: did,
+        publicKeyJwk: key.export({ format: 'jwk' })
+    };
+}
+
+function toService(did, service) {
+    if (!service || !FRAGMENT_PATTERN.test(service.id || '') || typeof service.type !== 'string'
+        || typeof service.serviceEndpoint !== 'string' || !/^[a-zA-Z][a-zA-Z0-9+.-]*:\S+$/.test(service.serviceEndpoint)) {
+        throw new Error('Services need a fragment id, a type and a URI serviceEndpoint');
+    }
+    return { id: `${did}#${service.id}`, type: service.type, serviceEndpoint: service.serviceEndpoint };
+}
+
+function buildDidDocument(did, verificationMethods, services) {
+    const ids = verificationMethods.map(method => method.id);
+    return {
+        '@context': DID_CONTEXTS,
+        id: did,
+        controller: did,
+        verificationMethod: verificationMethods,
+        authentication: ids,
+        assertionMethod: ids,
+        service: services
+    };
+}
+
+module.exports = { DID_METHOD, DID_KEY_PREFIX, formatDid, parseDid, toVerificationMethod, toService, buildDidDocument };
@@ -1,17 +1,151 @@
 'use strict';
 
+const crypto = require('crypto');
 const { Contract } = require('fabric-contract-api');
+const { BUILTIN_IDENTITY_TYPES, evaluateRule, explainRuleFailure, describeRule, checkTypeDefinition } = require('./identity-types');
+const { validateAgainstSchema } = require('./json-schema-validator');
+const { GRANTABLE_ROLES, ACCESS_POLICY_KEY, AccessDeniedError, readAccessPolicy, resolveRoles } = require('./access-control');
+const {
+    PRIVATE_DETAILS_COLLECTION,
+    PRIVATE_DETAILS_TRANSIENT_KEY,
+    findInlinePrivateFields,
+    readTransientPayload,
+    checkPrivateDetails,
+    readTransientPrivateDetails,
+    hashPrivateDetails
+} = require('./private-details');
+const {
+    CREDENTIAL_KEY_PREFIX,
+    STATUS_LIST_KEY_PREFIX,
+    STATUS_ENTRY_KEY_PREFIX,
+    STATUS_LIST_ID,
+    STATUS_LIST_SIZE,
+    preferredStatusIndex,
+    hashCredential,
+    checkCredential
+} = require('./credentials');
+// Copy of device-model/register-maintenance-event-schema.json
+const maintenanceEventSchema = require('./schemas/register-maintenance-event-schema.json');
+const { DID_METHOD, DID_KEY_PREFIX, formatDid, parseDid, toVerificationMethod, toService, buildDidDocument } = require('./did');
+const {
+    deviceAgentSchema,
+    AGENT_KEY_PREFIX,
+    AGENT_ENROLLMENT_PREFIX,
+    PROPOSAL_KEY_PREFIX,
+    ELIGIBLE_VALIDATORS_KEY,
+    VOTING_PERIOD_SECONDS,
+    VOTE_DECISIONS,
+    AGENT_STATE_TRANSITIONS,
+    checkAgent,
+    isAgentActive,
+    tallyVotes,
+    formatVote
+} = require('./agents');
+const {
+    readDeviceKey,
+    verifySignature,
+    newKeyEntry,
+    keyHistoryOf,
+    currentKey,
+    keyValidAt,
+    rotationStatement,
+    buildIdentityVerification
+} = require('./device-auth');
+const { STATS_DELTA_PREFIX, STATS_ROLLUP_PREFIX, STATS_BASELINE_PREFIX, legacyBaseline, rollUp, aggregateStats } = require('./stats');
+
+// Legal lifecycle transitions; revoked, expired and rejected are terminal. A
+// pending identity only becomes active (or rejected) through agent votes.
+const LIFECYCLE_TRANSITIONS = {
+    pending: ['revoked'],
+    rejected: [],
+    active: ['suspended', 'revoked', 'expired'],
+    suspended: ['active', 'revoked', 'expired'],
+    revoked: [],
+    expired: []
+};
+
+// Identities live under identity~type~id composite keys; id~type maps a bare id
+// back to its type so point reads stay a single lookup
+const IDENTITY_KEY_PREFIX = 'identity~type~id';
+const IDENTITY_LOOKUP_PREFIX = 'id~type';
+const TYPE_DEFINITION_PREFIX = 'identityType~name';
+
+const MAX_PAGE_SIZE = 100;
+
+// RegisterIdentitiesBatch: atomic writes nothing unless every item passes,
+// bestEffort writes the items that pass
+const BATCH_MODES = ['atomic', 'bestEffort'];
+const MAX_BATCH_SIZE = 100;
+
+// Roles allowed to list or search across all identities
+const LISTING_ROLES = ['registrar', 'auditor', 'agent', 'admin'];
+
+// Rich queries may only touch these fields and use these comparison operators;
+// the common filters are indexed under META-INF/statedb/couchdb/indexes
+const QUERYABLE_FIELDS = ['id', 'type', 'status', 'registrationTime', 'data.make', 'data.model', 'data.year', 'data.vin', 'data.manufacturer', 'data.deviceType'];
+const QUERY_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in'];
+const QUERY_COMBINATORS = ['$and', '$or'];
+const MAX_QUERY_CLAUSES = 10;
+
+const MAINTENANCE_KEY_PREFIX = 'maintenance~id~seq';
+const MAINTENANCE_HEAD_PREFIX = 'maintenanceHead~id';
+
+// Odometer readings per VIN, kept across identities so re-registering a vehicle
+// under a new id cannot reset its mileage
+const MILEAGE_KEY_PREFIX = 'mileage~vin~seq';
+const MILEAGE_HEAD_PREFIX = 'mileageHead~vin';
+
+// Typed edges between identities, stored in both directions so either end can
+// list them. attachedTo and installedIn point at one identity at a time: a
+// collar is on one pet, a telematics box in one vehicle.
+const LINK_KEY_PREFIX = 'link~from~relation~to';
+const LINK_REVERSE_PREFIX = 'linkReverse~to~relation~from';
+const LINK_RELATIONS = {
+    attachedTo: { singleTarget: true },
+    installedIn: { singleTarget: true },
+    ownedBy: { singleTarget: false }
+};
+const MAX_LINK_DEPTH = 5;
+
+const LIFECYCLE_REASON_CODES = [
+    'owner_request',
+    'lost_or_stolen',
+    'fraud_suspected',
+    'key_compromise',
+    'ownership_dispute',
+    'dispute_resolved',
+    'decommissioned',
+    'validity_period_ended',
+    'administrative',
+    // Recorded when agent voting closes a registration proposal
+    'agent_consensus',
+    'voting_deadline_passed'
+];
 
 class IdentityContract extends Contract {
 
     // Initialize the ledger
     async InitLedger(ctx) {
+        await this._requireRole(ctx, ['admin'], 'InitLedger');
+        const existingInfo = await ctx.stub.getState('CONTRACT_INFO');
+        if (existingInfo && existingInfo.length > 0) {
+            throw new Error('Contract is already initialized');
+        }
         console.log('Universal Digital Identity Framework - Contract initialized');
+
+        // Seed the built-in types without overwriting definitions an admin has since replaced
+        for (const definition of Object.values(BUILTIN_IDENTITY_TYPES)) {
+            const key = ctx.stub.createCompositeKey(TYPE_DEFINITION_PREFIX, [definition.name]);
+            const existing = await ctx.stub.getState(key);
+            if (!existing || !existing.length) {
+                await ctx.stub.putState(key, Buffer.from(JSON.stringify({ ...definition, version: 1, builtIn: true })));
+            }
+        }
+
+        // Written once; counts and supported types are computed by GetContractInfo
         const initData = {
             contractVersion: '1.0.0',
-            timestamp: new Date().toISOString(),
-            totalIdentities: 0,
-            supportedTypes: ['vehicle', 'pet', 'iot']
+            timestamp: this._getTxTime(ctx)
         };
 
         await ctx.stub.putState('CONTRACT_INFO', Buffer.from(JSON.stringify(initData)));
@@ -27,261 +161,2592 @@ class IdentityContract extends Contract {
 
     // Register new identity with explainable validation
     async RegisterIdentity(ctx, identityDataString) {
+        await this._requireRole(ctx, ['registrar', 'admin'], 'RegisterIdentity');
         try {
             const identityData = JSON.parse(identityDataString);
             console.log(`Registering identity: ${identityData.id} of type: ${identityData.type}`);
 
-            // Step 1: Validation
-            const validationResult = await this.ValidateIdentityData(ctx, identityData);
-            if (!validationResult.valid) {
-                throw new Error(`Validation failed: ${validationResult.explanation}`);
-            }
-
-            // Step 2: Multi-agent consensus
-            const consensusResult = await this.SimulateMultiAgentConsensus(ctx, identityData);
-            if (!consensusResult.consensusReached) {
-                throw new Error(`Consensus failed: ${consensusResult.explanation}`);
-            }
-
-            // Step 3: Authentication rules
-            const authResult = await this.ApplyAuthenticationRules(ctx, identityData);
-            if (!authResult.authenticated) {
-                throw new Error(`Authentication failed: ${authResult.explanation}`);
+            const eligibleAgents = await this._getEligibleAgents(ctx);
+            const privateDetails = await this._takePrivateDetails(ctx, identityData.type, identityData.data);
+            const evaluation = await this._evaluateRegistration(ctx, identityData, privateDetails);
+            if (!evaluation.passed) {
+                throw new Error(evaluation.explanation);
             }
-
-            // Step 4: Store identity
-            const identity = {
-                id: identityData.id,
-                type: identityData.type,
-                data: identityData.data,
-                registrationTime: new Date().toISOString(),
-                validationTrace: validationResult.trace,
-                consensusTrace: consensusResult.trace,
-                authenticationTrace: authResult.trace,
-                status: 'active',
-                transactionId: ctx.stub.getTxID(),
-                blockNumber: ctx.stub.getTxTimestamp()
-            };
-
-            await ctx.stub.putState(identityData.id, Buffer.from(JSON.stringify(identity)));
-
-            // Update stats
-            await this.UpdateContractStats(ctx, 'registration');
+            const { identity, proposal } = await this._commitRegistration(ctx, identityData, privateDetails, evaluation, eligibleAgents);
 
             // Emit event
             ctx.stub.setEvent('IdentityRegistered', Buffer.from(JSON.stringify({
                 identityId: identityData.id,
                 type: identityData.type,
+                status: identity.status,
+                votingDeadline: proposal.deadline,
                 timestamp: identity.registrationTime,
                 transactionId: identity.transactionId,
-                explanation: authResult.explanation
+                explanation: evaluation.explanation
             })));
 
             return JSON.stringify({
                 success: true,
                 identityId: identityData.id,
+                status: identity.status,
                 transactionId: identity.transactionId,
-                explanation: authResult.explanation,
-                validationTrace: validationResult.trace,
-                consensusVotes: consensusResult.votes
+                explanation: evaluation.explanation,
+                validationTrace: evaluation.validationResult.trace,
+                votingDeadline: proposal.deadline,
+                eligibleAgents: proposal.eligibleAgents
             });
 
         } catch (error) {
             console.error(`Error in RegisterIdentity: ${error.message}`);
             ctx.stub.setEvent('RegistrationError', Buffer.from(JSON.stringify({
                 error: error.message,
-                timestamp: new Date().toISOString(),
+                timestamp: this._getTxTime(ctx),
                 transactionId: ctx.stub.getTxID()
             })));
             throw new Error(`Registration failed: ${error.message}`);
         }
     }
 
-    // Validation logic
-    async ValidateIdentityData(ctx, identityData) {
-        const trace = ['Starting identity data validation'];
+    // Validation and authentication steps of registration. Nothing is written; the
+    // result names the step that failed and carries the traces of every step that ran.
+    async _evaluateRegistration(ctx, identityData, privateDetails) {
+        // The pipeline sees private details alongside the public data; only the
+        // public part is written to world state
+        const candidate = privateDetails
+            ? { ...identityData, data: { ...identityData.data, ...privateDetails.fields } }
+            : identityData;
+
+        // Step 1: Validation
+        const validationResult = await this.ValidateIdentityData(ctx, candidate);
+        if (!validationResult.valid) {
+            return { passed: false, explanation: `Validation failed: ${validationResult.explanation}`, validationResult };
+        }
+
+        // Step 2: Authentication rules
+        const authResult = await this.ApplyAuthenticationRules(ctx, candidate);
+        if (!authResult.authenticated) {
+            return { passed: false, explanation: `Authentication failed: ${authResult.explanation}`, validationResult, authResult };
+        }
+
+        return { passed: true, explanation: authResult.explanation, validationResult, authResult };
+    }
+
+    // Step 3: Store the identity as pending and open the proposal agents vote on
+    // (step 4, CastAgentVote). A registrar may register on behalf of an owner;
+    // otherwise the registering client owns the identity.
+    async _commitRegistration(ctx, identityData, privateDetails, { validationResult, authResult }, eligibleAgents) {
+        const creator = this._getActor(ctx);
+        const owner = identityData.owner && identityData.owner.mspId && identityData.owner.id
+            ? { mspId: identityData.owner.mspId, id: identityData.owner.id }
+            : creator;
+        const identity = {
+            id: identityData.id,
+            type: identityData.type,
+            data: identityData.data,
+            registrationTime: this._getTxTime(ctx),
+            validationTrace: validationResult.trace,
+            authenticationTrace: authResult.trace,
+            status: 'pending',
+            owner,
+            createdBy: creator,
+            version: 1,
+            transactionId: ctx.stub.getTxID(),
+            txTimestamp: this._getTxTime(ctx),
+            statsCounted: true
+        };
+        if (privateDetails) {
+            Object.assign(identity, await this._putPrivateDetails(ctx, identity, privateDetails));
+        }
+
+        const proposal = {
+            docType: 'proposal',
+            identityId: identity.id,
+            type: identity.type,
+            status: 'open',
+            openedAt: identity.registrationTime,
+            deadline: new Date(Date.parse(identity.registrationTime) + VOTING_PERIOD_SECONDS * 1000).toISOString(),
+            eligibleAgents,
+            votes: [],
+            transactionId: identity.transactionId
+        };
+        identity.consensusTrace = [`Agent voting open until ${proposal.deadline}; approval needs 2/3 of weight ${tallyVotes(proposal).totalWeight}`];
+
+        await this._putIdentity(ctx, identity);
+        await ctx.stub.putState(ctx.stub.createCompositeKey(PROPOSAL_KEY_PREFIX, [identity.id]), Buffer.from(JSON.stringify(proposal)));
+        await this._recordStats(ctx, identity, 'registration', { pending: 1 });
+        return { identity, proposal };
+    }
+
+    // Registers up to MAX_BATCH_SIZE identities in one transaction, each through the
+    // full pipeline and each with its own voting proposal. The transient
+    // privateDetails entry maps identity ids to their details. Returns one result
+    // per item, in input order.
+    async RegisterIdentitiesBatch(ctx, itemsJson, mode) {
+        await this._requireRole(ctx, ['registrar', 'admin'], 'RegisterIdentitiesBatch');
+
+        const batchMode = mode || 'atomic';
+        if (!BATCH_MODES.includes(batchMode)) {
+            throw new Error(`Batch mode must be one of ${BATCH_MODES.join(', ')}`);
+        }
+        let items;
         try {
-            if (!identityData.id || !identityData.type || !identityData.data) {
-                return { valid: false, explanation: 'Missing required fields: id, type, or data', trace: [...trace, '❌ Missing basic info'] };
-            }
-            trace.push('✅ Basic structure valid');
+            items = JSON.parse(itemsJson);
+        } catch (parseError) {
+            throw new Error(`Batch is not valid JSON: ${parseError.message}`);
+        }
+        if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_SIZE) {
+            throw new Error(`Batch must be an array of 1 to ${MAX_BATCH_SIZE} identities`);
+        }
+        const eligibleAgents = await this._getEligibleAgents(ctx);
+        const privatePayloads = readTransientPayload(ctx) || {};
 
-            if (identityData.type === 'vehicle') {
-                if (!identityData.data.vin || identityData.data.vin.length !== 17) {
-                    return { valid: false, explanation: 'Invalid VIN format', trace: [...trace, '❌ VIN invalid'] };
-                }
-                if (identityData.data.mileage < 0) {
-                    return { valid: false, explanation: 'Mileage cannot be negative', trace: [...trace, '❌ Mileage invalid'] };
+        // Every item is evaluated before anything is written. A transaction does not
+        // see its own writes on the peer, so duplicates inside the batch (same id, or
+        // the same VIN and so the same odometer log) have to be caught here.
+        const results = [];
+        const accepted = [];
+        const seenIds = new Map();
+        const seenVins = new Map();
+        for (const [index, identityData] of items.entries()) {
+            const result = { index, identityId: identityData ? identityData.id : undefined, status: 'rejected' };
+            results.push(result);
+            try {
+                if (!identityData || typeof identityData !== 'object' || !identityData.id) {
+                    throw new Error('Item must be an identity object with an id');
                 }
-                const currentYear = new Date().getFullYear();
-                if (identityData.data.year < 1900 || identityData.data.year > currentYear + 1) {
-                    return { valid: false, explanation: 'Invalid year', trace: [...trace, '❌ Year invalid'] };
+                if (seenIds.has(identityData.id)) {
+                    throw new Error(`Duplicate identity: ${identityData.id} is also item ${seenIds.get(identityData.id)} of this batch`);
                 }
-                trace.push('✅ Vehicle fields validated');
-            }
-            else if (identityData.type === 'pet') {
-                if (!identityData.data.microchipId || identityData.data.microchipId.length < 15) {
-                    return { valid: false, explanation: 'Invalid microchip ID', trace: [...trace, '❌ Microchip invalid'] };
+                seenIds.set(identityData.id, index);
+                const vin = identityData.data && identityData.data.vin;
+                if (vin && seenVins.has(vin)) {
+                    throw new Error(`VIN ${vin} is also registered by item ${seenVins.get(vin)} of this batch`);
                 }
-                if (identityData.data.age < 0 || identityData.data.age > 30) {
-                    return { valid: false, explanation: 'Invalid age', trace: [...trace, '❌ Age invalid'] };
+                if (vin) seenVins.set(vin, index);
+
+                const privateDetails = await this._takePrivateDetails(ctx, identityData.type, identityData.data,
+                    privatePayloads[identityData.id] || null);
+                const evaluation = await this._evaluateRegistration(ctx, identityData, privateDetails);
+                Object.assign(result, {
+                    explanation: evaluation.explanation,
+                    validationTrace: evaluation.validationResult.trace,
+                    authenticationTrace: evaluation.authResult ? evaluation.authResult.trace : []
+                });
+                if (evaluation.passed) {
+                    result.status = 'accepted';
+                    accepted.push({ result, identityData, privateDetails, evaluation });
                 }
-                trace.push('✅ Pet fields validated');
+            } catch (error) {
+                result.explanation = error.message;
             }
-            else if (identityData.type === 'iot') {
-                if (!identityData.data.serialNumber || identityData.data.serialNumber.length < 3) {
-                    return { valid: false, explanation: 'Invalid serial number', trace: [...trace, '❌ Serial number invalid'] };
-                }
-                trace.push('✅ IoT fields validated');
+        }
+
+        const rejectedCount = results.length - accepted.length;
+        if (batchMode === 'atomic' && rejectedCount > 0) {
+            accepted.forEach(({ result }) => { result.status = 'notCommitted'; });
+            return JSON.stringify({ success: false, mode: batchMode, registeredCount: 0, rejectedCount, results });
+        }
+
+        for (const { result, identityData, privateDetails, evaluation } of accepted) {
+            const { identity, proposal } = await this._commitRegistration(ctx, identityData, privateDetails, evaluation, eligibleAgents);
+            result.status = 'registered';
+            result.transactionId = identity.transactionId;
+            result.votingDeadline = proposal.deadline;
+        }
+
+        ctx.stub.setEvent('IdentitiesBatchRegistered', Buffer.from(JSON.stringify({
+            mode: batchMode,
+            identityIds: accepted.map(({ identityData }) => identityData.id),
+            rejectedCount,
+            timestamp: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        })));
+
+        return JSON.stringify({ success: rejectedCount === 0, mode: batchMode, registeredCount: accepted.length, rejectedCount, results });
+    }
+
+    // Update an existing identity, producing a new version linked to the previous one
+    async UpdateIdentity(ctx, identityId, updateDataString) {
+        try {
+            const existing = await this._getIdentity(ctx, identityId);
+            if (!existing) {
+                throw new Error(`Identity ${identityId} does not exist`);
             }
-            else {
-                return { valid: false, explanation: `Unsupported identity type: ${identityData.type}`, trace: [...trace, '❌ Unsupported type'] };
+            await this._requireRole(ctx, ['registrar', 'admin'], 'UpdateIdentity', existing);
+            if (existing.status !== 'active') {
+                throw new Error(`Identity ${identityId} is ${existing.status} and cannot be updated`);
             }
 
-            trace.push('✅ All validations passed');
-            return { valid: true, explanation: 'All validations passed successfully', trace };
+            const updateData = JSON.parse(updateDataString);
+            if (!updateData.data || typeof updateData.data !== 'object') {
+                throw new Error('Update payload must contain a data object');
+            }
+            console.log(`Updating identity: ${identityId} from version ${existing.version || 1}`);
+
+            // New private details are merged over the stored ones and re-salted
+            const newPrivateDetails = await this._takePrivateDetails(ctx, existing.type, updateData.data);
+            const storedPrivateDetails = await this._readPrivateDetails(ctx, identityId);
+            const privateFields = {
+                ...(storedPrivateDetails ? storedPrivateDetails.fields : {}),
+                ...(newPrivateDetails ? newPrivateDetails.fields : {})
+            };
+
+            // Re-validate the merged record, never just the delta
+            const mergedData = { ...existing.data, ...updateData.data };
+            const validationResult = await this.ValidateIdentityData(ctx, {
+                id: existing.id,
+                type: existing.type,
+                data: { ...mergedData, ...privateFields }
+            });
+            if (!validationResult.valid) {
+                throw new Error(`Validation failed: ${validationResult.explanation}`);
+            }
+            // Consistency rules (the VIN check digit among them) are not part of validation
+            const consistencyResult = await this.CheckCrossDomainConsistency(ctx, { id: existing.id, type: existing.type, data: mergedData });
+            if (!consistencyResult.consistent) {
+                throw new Error(`Validation failed: ${consistencyResult.reason}`);
+            }
+
+            const mileageChanged = updateData.data.mileage !== undefined || updateData.data.vin !== undefined;
+            const mileageCheck = mileageChanged
+                ? await this._checkMileage(ctx, mergedData.vin, mergedData.mileage)
+                : { ok: true, trace: [] };
+            if (!mileageCheck.ok) {
+                throw new Error(mileageCheck.explanation);
+            }
+
+            const identity = {
+                ...existing,
+                data: mergedData,
+                ...this._nextVersion(existing),
+                lastUpdateTime: this._getTxTime(ctx),
+                validationTrace: [...validationResult.trace, ...consistencyResult.trace, ...mileageCheck.trace],
+                transactionId: ctx.stub.getTxID(),
+                txTimestamp: this._getTxTime(ctx)
+            };
+            if (newPrivateDetails) {
+                Object.assign(identity, await this._putPrivateDetails(ctx, identity, { fields: privateFields, salt: newPrivateDetails.salt }));
+            }
+
+            await this._putIdentity(ctx, identity);
+            if (mileageChanged) {
+                await this._appendMileage(ctx, identity, mergedData.mileage, 'update');
+            }
+
+            await this._recordStats(ctx, identity, 'update');
+
+            ctx.stub.setEvent('IdentityUpdated', Buffer.from(JSON.stringify({
+                identityId,
+                type: identity.type,
+                version: identity.version,
+                previousVersionHash: identity.previousVersionHash,
+                updatedFields: Object.keys(updateData.data),
+                privateDetailsUpdated: !!newPrivateDetails,
+                timestamp: identity.lastUpdateTime,
+                transactionId: identity.transactionId
+            })));
+
+            return JSON.stringify({
+                success: true,
+                identityId,
+                version: identity.version,
+                previousVersionHash: identity.previousVersionHash,
+                transactionId: identity.transactionId,
+                validationTrace: validationResult.trace
+            });
 
         } catch (error) {
-            return { valid: false, explanation: error.message, trace: [...trace, `❌ Error: ${error.message}`] };
+            if (error instanceof AccessDeniedError) throw error;
+            console.error(`Error in UpdateIdentity: ${error.message}`);
+            throw new Error(`Update failed: ${error.message}`);
         }
     }
 
-    // Consensus simulation
-    async SimulateMultiAgentConsensus(ctx, identityData) {
-        const agents = [
-            { id: 'device_agent_1', type: 'DeviceAgent', weight: 1 },
-            { id: 'coordinator_agent_1', type: 'CoordinatorAgent', weight: 2 },
-            { id: 'regional_coord_1', type: 'RegionalCoordinator', weight: 2 }
-        ];
+    // Lifecycle transitions
+    async SuspendIdentity(ctx, identityId, reasonCode, note) {
+        return this._transitionIdentityStatus(ctx, identityId, 'suspended', reasonCode, note);
+    }
+
+    async ReinstateIdentity(ctx, identityId, reasonCode, note) {
+        return this._transitionIdentityStatus(ctx, identityId, 'active', reasonCode, note);
+    }
+
+    async RevokeIdentity(ctx, identityId, reasonCode, note) {
+        return this._transitionIdentityStatus(ctx, identityId, 'revoked', reasonCode, note);
+    }
 
-        let totalVotes = 0, approvedVotes = 0;
-        const trace = ['Initiating consensus'];
-        const agentDecisions = [];
+    async ExpireIdentity(ctx, identityId, reasonCode, note) {
+        return this._transitionIdentityStatus(ctx, identityId, 'expired', reasonCode || 'validity_period_ended', note);
+    }
 
-        for (const agent of agents) {
-            let agentApproval = false;
-            let reason = '';
+    async _transitionIdentityStatus(ctx, identityId, targetStatus, reasonCode, note) {
+        const existing = await this._getIdentity(ctx, identityId);
+        if (!existing) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        // Owners may suspend (e.g. lost or stolen) or retire their own identity, but
+        // lifting a suspension or expiring a record is left to registrars
+        const ownerMayAct = targetStatus === 'suspended' || targetStatus === 'revoked';
+        await this._requireRole(ctx, ['registrar', 'admin'], `${targetStatus} transition`, ownerMayAct ? existing : null);
+        if (!LIFECYCLE_REASON_CODES.includes(reasonCode)) {
+            throw new Error(`Invalid reason code: ${reasonCode}. Expected one of ${LIFECYCLE_REASON_CODES.join(', ')}`);
+        }
 
-            if (agent.type === 'DeviceAgent') {
-                agentApproval = Object.keys(identityData.data).length >= 3;
-                reason = agentApproval ? 'Sufficient data' : 'Insufficient data';
-            } else if (agent.type === 'CoordinatorAgent') {
-                agentApproval = ['vehicle', 'pet', 'iot'].includes(identityData.type);
-                reason = agentApproval ? 'Supported type' : 'Unsupported type';
-            } else if (agent.type === 'RegionalCoordinator') {
-                const existing = await this.ReadIdentity(ctx, identityData.id);
-                agentApproval = !existing;
-                reason = agentApproval ? 'Unique identity' : 'Duplicate detected';
+        const currentStatus = existing.status || 'active';
+        const allowed = LIFECYCLE_TRANSITIONS[currentStatus] || [];
+        if (!allowed.includes(targetStatus)) {
+            throw new Error(`Illegal status transition for ${identityId}: ${currentStatus} -> ${targetStatus}`);
+        }
+        if (targetStatus === 'active') {
+            const didBytes = await ctx.stub.getState(ctx.stub.createCompositeKey(DID_KEY_PREFIX, [existing.type, existing.id]));
+            if (didBytes && didBytes.length > 0 && JSON.parse(didBytes.toString()).keyCompromise) {
+                throw new Error(`Identity ${identityId} has compromised DID keys; add a new key with UpdateDIDDocument first`);
             }
+        }
+
+        const change = {
+            from: currentStatus,
+            to: targetStatus,
+            reasonCode,
+            note: note || '',
+            actor: this._getActor(ctx),
+            timestamp: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+
+        const identity = {
+            ...existing,
+            status: targetStatus,
+            statusHistory: [...(existing.statusHistory || []), change],
+            ...this._nextVersion(existing),
+            lastUpdateTime: change.timestamp,
+            transactionId: change.transactionId,
+            statsCounted: true
+        };
 
-            totalVotes += agent.weight;
-            if (agentApproval) approvedVotes += agent.weight;
-            agentDecisions.push({ agent: agent.id, approved: agentApproval, reason });
+        await this._putIdentity(ctx, identity);
+        if (currentStatus === 'pending') {
+            await this._withdrawProposal(ctx, identityId);
+        }
+        // An identity from before the stats deltas is counted in its old status first
+        if (!existing.statsCounted) {
+            await this._recordStatsBaseline(ctx, [existing]);
+        }
+
+        await this._recordStats(ctx, identity, targetStatus, { [currentStatus]: -1, [targetStatus]: 1 });
+
+        ctx.stub.setEvent('IdentityStatusChanged', Buffer.from(JSON.stringify({
+            identityId,
+            type: identity.type,
+            ...change
+        })));
+
+        return JSON.stringify({
+            success: true,
+            identityId,
+            status: targetStatus,
+            version: identity.version,
+            change
+        });
+    }
+
+    // Two-phase ownership transfer: the current owner proposes, the recipient accepts
+    async InitiateTransfer(ctx, identityId, newOwnerString) {
+        const existing = await this._getIdentity(ctx, identityId);
+        if (!existing) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        if (existing.status !== 'active') {
+            throw new Error(`Identity ${identityId} is ${existing.status} and cannot be transferred`);
+        }
+        if (!existing.owner) {
+            throw new Error(`Identity ${identityId} has no recorded owner`);
+        }
 
-            trace.push(`${agent.type}: ${agentApproval ? '✅' : '❌'} - ${reason}`);
+        const caller = this._getActor(ctx);
+        if (!this._isSameActor(caller, existing.owner)) {
+            throw new Error(`Only the current owner can transfer identity ${identityId}`);
+        }
+        if (existing.pendingTransfer) {
+            throw new Error(`Identity ${identityId} already has a pending transfer`);
         }
 
-        const requiredVotes = Math.floor(totalVotes * 2 / 3) + 1;
-        const consensusReached = approvedVotes >= requiredVotes;
+        const newOwner = JSON.parse(newOwnerString);
+        if (!newOwner.mspId || !newOwner.id) {
+            throw new Error('New owner must include mspId and id');
+        }
+        if (this._isSameActor(newOwner, existing.owner)) {
+            throw new Error('New owner must differ from the current owner');
+        }
 
-        return {
-            consensusReached,
-            votes: approvedVotes,
-            totalVotes,
-            requiredVotes,
-            agentDecisions,
-            explanation: consensusReached ?
-                `Consensus achieved ${approvedVotes}/${totalVotes}` :
-                `Consensus failed ${approvedVotes}/${totalVotes}`,
-            trace
+        // Where the owner's name is private the recipient supplies it on acceptance instead
+        const definition = await this._getTypeDefinition(ctx, existing.type);
+        const ownerNameIsPrivate = ((definition && definition.privateFields) || []).includes('owner');
+        const pendingTransfer = {
+            from: existing.owner,
+            to: { mspId: newOwner.mspId, id: newOwner.id },
+            ownerName: ownerNameIsPrivate ? null : newOwner.name || null,
+            initiatedAt: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+
+        const identity = {
+            ...existing,
+            pendingTransfer,
+            ...this._nextVersion(existing),
+            lastUpdateTime: pendingTransfer.initiatedAt,
+            transactionId: pendingTransfer.transactionId
         };
+        await this._putIdentity(ctx, identity);
+
+        ctx.stub.setEvent('TransferInitiated', Buffer.from(JSON.stringify({
+            identityId,
+            type: identity.type,
+            ...pendingTransfer
+        })));
+
+        return JSON.stringify({ success: true, identityId, version: identity.version, pendingTransfer });
     }
 
-    // Authentication rules
-    async ApplyAuthenticationRules(ctx, identityData) {
-        const trace = ['Applying authentication rules'];
-        const existing = await this.ReadIdentity(ctx, identityData.id);
-        if (existing) return { authenticated: false, explanation: 'Duplicate identity', trace };
+    async AcceptTransfer(ctx, identityId) {
+        const existing = await this._getIdentity(ctx, identityId);
+        if (!existing || !existing.pendingTransfer) {
+            throw new Error(`No pending transfer for identity ${identityId}`);
+        }
+        if (existing.status !== 'active') {
+            throw new Error(`Identity ${identityId} is ${existing.status} and cannot be transferred`);
+        }
 
-        const requiredFields = this.getRequiredFieldsForType(identityData.type);
-        for (const field of requiredFields) {
-            if (!identityData.data[field]) {
-                return { authenticated: false, explanation: `Missing required field: ${field}`, trace };
-            }
+        const caller = this._getActor(ctx);
+        const transfer = existing.pendingTransfer;
+        if (!this._isSameActor(caller, transfer.to)) {
+            throw new Error(`Only the proposed recipient can accept the transfer of ${identityId}`);
         }
 
-        const consistencyCheck = await this.CheckCrossDomainConsistency(ctx, identityData);
-        if (!consistencyCheck.consistent) {
-            return { authenticated: false, explanation: consistencyCheck.reason, trace };
+        const completed = {
+            from: transfer.from,
+            to: transfer.to,
+            initiatedAt: transfer.initiatedAt,
+            initiatedInTx: transfer.transactionId,
+            acceptedAt: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+
+        const identity = {
+            ...existing,
+            data: transfer.ownerName ? { ...existing.data, owner: transfer.ownerName } : existing.data,
+            owner: transfer.to,
+            ownershipHistory: [...(existing.ownershipHistory || []), completed],
+            ...this._nextVersion(existing),
+            lastUpdateTime: completed.acceptedAt,
+            transactionId: completed.transactionId
+        };
+        delete identity.pendingTransfer;
+
+        // The new owner's details replace the previous owner's, which are never handed
+        // over. Where the type requires a private field (a pet's owner) the recipient
+        // must supply it, or the identity could never be updated again.
+        const privateDetails = await this._takePrivateDetails(ctx, existing.type, {});
+        const definition = await this._getTypeDefinition(ctx, existing.type);
+        const missing = ((definition && definition.requiredFields) || [])
+            .filter(field => ((definition && definition.privateFields) || []).includes(field))
+            .filter(field => !privateDetails || !Object.prototype.hasOwnProperty.call(privateDetails.fields, field));
+        if (missing.length > 0) {
+            throw new Error(`Accepting ${identityId} needs the new ${missing.join(', ')} in transient ${PRIVATE_DETAILS_TRANSIENT_KEY}`);
         }
+        if (privateDetails) {
+            Object.assign(identity, await this._putPrivateDetails(ctx, identity, privateDetails));
+        } else if (existing.privateDataHash) {
+            await ctx.stub.deletePrivateData(PRIVATE_DETAILS_COLLECTION, identityId);
+            delete identity.privateDataHash;
+            delete identity.privateDataCollection;
+        }
+        await this._putIdentity(ctx, identity);
 
-        return { authenticated: true, explanation: 'All authentication rules passed - identity verified', trace };
+        await this._recordStats(ctx, identity, 'transfer');
+
+        ctx.stub.setEvent('TransferAccepted', Buffer.from(JSON.stringify({
+            identityId,
+            type: identity.type,
+            ...completed
+        })));
+
+        return JSON.stringify({ success: true, identityId, version: identity.version, owner: identity.owner, transfer: completed });
     }
 
-    getRequiredFieldsForType(type) {
-        switch (type) {
-            case 'vehicle': return ['vin', 'make', 'model', 'year'];
-            case 'pet': return ['microchipId', 'breed', 'owner'];
-            case 'iot': return ['deviceType', 'manufacturer', 'serialNumber'];
-            default: return ['id'];
+    // Either the owner (withdraw) or the recipient (decline) may cancel
+    async CancelTransfer(ctx, identityId) {
+        const existing = await this._getIdentity(ctx, identityId);
+        if (!existing || !existing.pendingTransfer) {
+            throw new Error(`No pending transfer for identity ${identityId}`);
+        }
+
+        const caller = this._getActor(ctx);
+        const transfer = existing.pendingTransfer;
+        if (!this._isSameActor(caller, transfer.from) && !this._isSameActor(caller, transfer.to)) {
+            throw new Error(`Only the owner or the proposed recipient can cancel the transfer of ${identityId}`);
         }
+
+        const identity = {
+            ...existing,
+            ...this._nextVersion(existing),
+            lastUpdateTime: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        delete identity.pendingTransfer;
+        await this._putIdentity(ctx, identity);
+
+        ctx.stub.setEvent('TransferCancelled', Buffer.from(JSON.stringify({
+            identityId,
+            type: identity.type,
+            from: transfer.from,
+            to: transfer.to,
+            cancelledBy: caller,
+            timestamp: identity.lastUpdateTime,
+            transactionId: identity.transactionId
+        })));
+
+        return JSON.stringify({ success: true, identityId, version: identity.version, cancelledBy: caller });
     }
 
-    async CheckCrossDomainConsistency(ctx, identityData) {
-        if (identityData.type === 'vehicle') {
-            const vinPattern = /^[A-HJ-NPR-Z0-9]{17}$/;
-            if (!vinPattern.test(identityData.data.vin)) {
-                return { consistent: false, reason: 'VIN format violates standards' };
-            }
+    // Maintenance events arrive as RegisterMaintenanceEvent messages and form a version
+    // chain per identity: each event must start from the version the last one left
+    // odometerReading is optional and feeds the VIN's mileage log. A reading below the
+    // log is recorded but flagged: the workshop saw it, so it is evidence of a rollback.
+    async RecordMaintenanceEvent(ctx, identityId, eventMessageJson, odometerReading) {
+        const identity = await this._getIdentity(ctx, identityId);
+        if (!identity) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        await this._requireRole(ctx, ['agent', 'registrar', 'admin'], 'RecordMaintenanceEvent', identity);
+        if (identity.status !== 'active') {
+            throw new Error(`Identity ${identityId} is ${identity.status}; maintenance cannot be recorded`);
+        }
+
+        let message;
+        try {
+            message = JSON.parse(eventMessageJson);
+        } catch (parseError) {
+            throw new Error(`Maintenance event is not valid JSON: ${parseError.message}`);
+        }
+        const schemaResult = validateAgainstSchema(maintenanceEventSchema, message);
+        if (!schemaResult.valid) {
+            throw new Error(`Invalid maintenance event: ${schemaResult.errors.map(error => `${error.instancePath || '/'} ${error.message}`).join('; ')}`);
         }
-        if (identityData.type === 'pet') {
-            if (identityData.data.microchipId.length !== 15 || !identityData.data.microchipId.startsWith('956')) {
-                return { consistent: false, reason: 'Microchip ID invalid' };
+        // Only devices registered with RegisterAgent speak for themselves
+        const sender = await this._getAgent(ctx, message.from);
+        if (!sender) {
+            throw new AccessDeniedError(`${message.from} is not a registered device agent and cannot sign messages`);
+        }
+        if (!isAgentActive(sender)) {
+            throw new AccessDeniedError(`Agent ${message.from} is ${sender.state} and cannot sign messages`);
+        }
+
+        const { payload } = message;
+        const head = await this._getMaintenanceHead(ctx, identityId);
+        // Before the first event the chain starts from the firmware version registered with the identity, if any
+        const expectedVersion = head ? head.currentVersion : identity.data.firmwareVersion;
+        if (expectedVersion !== undefined && payload.oldVersion !== expectedVersion) {
+            throw new Error(`Version chain broken for ${identityId}: oldVersion ${payload.oldVersion} does not match last recorded version ${expectedVersion}`);
+        }
+
+        const sequence = head ? head.eventCount + 1 : 1;
+        const record = {
+            docType: 'maintenanceEvent',
+            identityId,
+            identityType: identity.type,
+            sequence,
+            eventType: payload.eventType,
+            oldVersion: payload.oldVersion,
+            newVersion: payload.newVersion,
+            performedBy: payload.performedBy,
+            reportedBy: message.from,
+            reportedAt: message.timestamp,
+            recordedBy: this._getActor(ctx),
+            recordedAt: this._getTxTime(ctx),
+            previousEventHash: head ? head.lastEventHash : null,
+            trace: [
+                `${payload.eventType} reported by ${message.from} at ${message.timestamp}`,
+                '✅ Message matches RegisterMaintenanceEvent schema',
+                expectedVersion === undefined
+                    ? `✅ First recorded version ${payload.oldVersion}`
+                    : `✅ oldVersion ${payload.oldVersion} matches last recorded version`,
+                `Version ${payload.oldVersion} -> ${payload.newVersion}`
+            ],
+            transactionId: ctx.stub.getTxID()
+        };
+        if (odometerReading !== undefined && odometerReading !== '') {
+            const mileage = Number(odometerReading);
+            if (!Number.isFinite(mileage) || mileage < 0) {
+                throw new Error(`Invalid odometer reading: ${odometerReading}`);
             }
+            const mileageCheck = await this._checkMileage(ctx, identity.data.vin, mileage);
+            record.trace.push(...mileageCheck.trace);
+            record.odometerReading = mileage;
+            record.odometerRollback = mileageCheck.ok ? null : mileageCheck.explanation;
+            await this._appendMileage(ctx, identity, mileage, 'maintenance', mileageCheck.ok ? null : mileageCheck.explanation);
+        }
+
+        const key = ctx.stub.createCompositeKey(MAINTENANCE_KEY_PREFIX, [identityId, String(sequence).padStart(8, '0')]);
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(record)));
+        await ctx.stub.putState(ctx.stub.createCompositeKey(MAINTENANCE_HEAD_PREFIX, [identityId]), Buffer.from(JSON.stringify({
+            identityId,
+            currentVersion: payload.newVersion,
+            eventCount: sequence,
+            lastEventHash: this._hashRecord(record),
+            lastEventAt: record.recordedAt
+        })));
+
+        ctx.stub.setEvent('MaintenanceEventRecorded', Buffer.from(JSON.stringify({
+            identityId,
+            sequence,
+            eventType: record.eventType,
+            oldVersion: record.oldVersion,
+            newVersion: record.newVersion,
+            // Fabric keeps one event per transaction, so a flagged reading rides along here
+            odometerRollback: record.odometerRollback || null,
+            transactionId: record.transactionId
+        })));
+
+        return JSON.stringify({ success: true, identityId, sequence, currentVersion: record.newVersion, trace: record.trace });
+    }
+
+    async GetMaintenanceHistory(ctx, identityId) {
+        const identity = await this._getIdentity(ctx, identityId);
+        if (!identity) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        await this._requireRole(ctx, ['registrar', 'auditor', 'agent', 'admin'], 'GetMaintenanceHistory', identity);
+
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(MAINTENANCE_KEY_PREFIX, [identityId]);
+        const events = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            events.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
         }
-        return { consistent: true, reason: 'Cross-domain consistency verified' };
+        await iterator.close();
+
+        const head = await this._getMaintenanceHead(ctx, identityId);
+        return JSON.stringify({ identityId, currentVersion: head ? head.currentVersion : null, events, totalCount: events.length });
     }
 
-    async ReadIdentity(ctx, identityId) {
-        const bytes = await ctx.stub.getState(identityId);
-        if (!bytes || !bytes.length) return null;
+    async _getMaintenanceHead(ctx, identityId) {
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(MAINTENANCE_HEAD_PREFIX, [identityId]));
+        if (!bytes || bytes.length === 0) return null;
         return JSON.parse(bytes.toString());
     }
 
-    async GetAllIdentities(ctx) {
-        const iterator = await ctx.stub.getStateByRange('', '');
-        const identities = [];
+    // Odometer log
+    async GetMileageHistory(ctx, vin) {
+        await this._requireRole(ctx, ['registrar', 'auditor', 'agent', 'admin'], 'GetMileageHistory');
+
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(MILEAGE_KEY_PREFIX, [vin]);
+        const entries = [];
         let result = await iterator.next();
         while (!result.done) {
-            if (result.value && result.value.value.length > 0) {
-                const obj = JSON.parse(result.value.value.toString());
-                if (obj.id && obj.type) identities.push(obj);
-            }
+            entries.push(JSON.parse(result.value.value.toString()));
             result = await iterator.next();
         }
         await iterator.close();
-        return JSON.stringify({ identities, totalCount: identities.length, timestamp: new Date().toISOString() });
+
+        const head = await this._getMileageHead(ctx, vin);
+        return JSON.stringify({
+            vin,
+            highestMileage: head ? head.highestMileage : null,
+            flaggedCount: head ? head.flaggedCount : 0,
+            entries,
+            totalCount: entries.length
+        });
+    }
+
+    // Readings may stay level or grow; anything lower than the highest reading on
+    // record for the VIN is a rollback
+    async _checkMileage(ctx, vin, mileage) {
+        if (!vin || typeof mileage !== 'number') {
+            return { ok: true, trace: [] };
+        }
+        const head = await this._getMileageHead(ctx, vin);
+        if (!head) {
+            return { ok: true, trace: [`✅ First odometer reading for VIN ${vin}: ${mileage} km`] };
+        }
+        if (mileage < head.highestMileage) {
+            const explanation = `Odometer rollback for VIN ${vin}: ${mileage} km is below ${head.highestMileage} km `
+                + `recorded at ${head.highestRecordedAt} (${head.highestSource} of ${head.highestIdentityId}, tx ${head.highestTransactionId})`;
+            return { ok: false, explanation, trace: [`❌ ${explanation}`] };
+        }
+        return { ok: true, trace: [`✅ Odometer ${mileage} km is not below ${head.highestMileage} km on record for VIN ${vin}`] };
+    }
+
+    async _appendMileage(ctx, identity, mileage, source, rollback = null) {
+        const vin = identity.data && identity.data.vin;
+        if (!vin || typeof mileage !== 'number') return;
+
+        const head = await this._getMileageHead(ctx, vin);
+        const sequence = head ? head.count + 1 : 1;
+        const entry = {
+            docType: 'mileageEntry',
+            vin,
+            sequence,
+            mileage,
+            identityId: identity.id,
+            source,
+            flagged: !!rollback,
+            rollback,
+            recordedBy: this._getActor(ctx),
+            recordedAt: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(ctx.stub.createCompositeKey(MILEAGE_KEY_PREFIX, [vin, String(sequence).padStart(8, '0')]),
+            Buffer.from(JSON.stringify(entry)));
+
+        const raisesHighest = !head || mileage >= head.highestMileage;
+        const updatedHead = {
+            vin,
+            count: sequence,
+            flaggedCount: (head ? head.flaggedCount : 0) + (rollback ? 1 : 0),
+            highestMileage: raisesHighest ? mileage : head.highestMileage,
+            highestRecordedAt: raisesHighest ? entry.recordedAt : head.highestRecordedAt,
+            highestSource: raisesHighest ? source : head.highestSource,
+            highestIdentityId: raisesHighest ? identity.id : head.highestIdentityId,
+            highestTransactionId: raisesHighest ? entry.transactionId : head.highestTransactionId
+        };
+        await ctx.stub.putState(ctx.stub.createCompositeKey(MILEAGE_HEAD_PREFIX, [vin]), Buffer.from(JSON.stringify(updatedHead)));
+    }
+
+    async _getMileageHead(ctx, vin) {
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(MILEAGE_HEAD_PREFIX, [vin]));
+        if (!bytes || bytes.length === 0) return null;
+        return JSON.parse(bytes.toString());
+    }
+
+    // Device agents: sensors and user devices sign messages with metadata.publicKey,
+    // validators vote on registrations under their own enrolled client identities.
+    // createdAt is the transaction time; state defaults to active.
+    async RegisterAgent(ctx, agentJson) {
+        await this._requireRole(ctx, ['admin'], 'RegisterAgent');
+
+        let agent;
+        try {
+            agent = JSON.parse(agentJson);
+        } catch (parseError) {
+            throw new Error(`Agent is not valid JSON: ${parseError.message}`);
+        }
+        const problems = checkAgent(agent);
+        if (problems.length > 0) {
+            throw new Error(`Invalid agent: ${problems.join('; ')}`);
+        }
+        const { weight, enrollment, ...device } = agent;
+        const document = { state: 'active', ...device, createdAt: this._getTxTime(ctx) };
+        const schemaResult = validateAgainstSchema(deviceAgentSchema, document);
+        if (!schemaResult.valid) {
+            throw new Error(`Invalid agent: ${schemaResult.errors.map(error => `${error.instancePath || '/'} ${error.message}`).join('; ')}`);
+        }
+        let keyHistory = [];
+        if (document.metadata.publicKey !== undefined) {
+            try {
+                keyHistory = [newKeyEntry('key-1', document.metadata.publicKey, document.createdAt)];
+            } catch (keyError) {
+                throw new Error(`Invalid agent: /metadata/publicKey ${keyError.message}`);
+            }
+        }
+        if (await this._getAgent(ctx, agent.agentId)) {
+            throw new Error(`Agent ${agent.agentId} is already registered`);
+        }
+        const enrollmentKey = enrollment
+            ? ctx.stub.createCompositeKey(AGENT_ENROLLMENT_PREFIX, [enrollment.mspId, enrollment.id])
+            : null;
+        if (enrollmentKey) {
+            const enrolled = await ctx.stub.getState(enrollmentKey);
+            if (enrolled && enrolled.length > 0) {
+                throw new Error(`${enrollment.mspId}/${enrollment.id} already acts for agent ${JSON.parse(enrolled.toString()).agentId}`);
+            }
+        }
+
+        const record = {
+            docType: 'agent',
+            ...document,
+            ...(weight !== undefined ? { weight } : {}),
+            ...(enrollment ? { enrollment: { mspId: enrollment.mspId, id: enrollment.id } } : {}),
+            stateHistory: [],
+            keyHistory,
+            registeredBy: this._getActor(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        await this._putAgent(ctx, record);
+        if (enrollmentKey) {
+            await ctx.stub.putState(enrollmentKey, Buffer.from(JSON.stringify({ agentId: record.agentId })));
+        }
+
+        ctx.stub.setEvent('AgentRegistered', Buffer.from(JSON.stringify({
+            agentId: record.agentId,
+            role: record.role,
+            state: record.state,
+            timestamp: record.createdAt,
+            transactionId: record.transactionId
+        })));
+        return JSON.stringify({ success: true, agent: record });
+    }
+
+    // Suspended and revoked agents keep their record and enrollment but can no
+    // longer vote or sign; votes they cast while active still count
+    async UpdateAgentState(ctx, agentId, state, reason) {
+        await this._requireRole(ctx, ['admin'], 'UpdateAgentState');
+        const existing = await this._getAgent(ctx, agentId);
+        if (!existing) {
+            throw new Error(`Agent ${agentId} does not exist`);
+        }
+        if (!deviceAgentSchema.properties.state.enum.includes(state)) {
+            throw new Error(`Agent state must be one of ${deviceAgentSchema.properties.state.enum.join(', ')}`);
+        }
+        if (!(AGENT_STATE_TRANSITIONS[existing.state] || []).includes(state)) {
+            throw new Error(`Illegal state transition for agent ${agentId}: ${existing.state} -> ${state}`);
+        }
+        const history = keyHistoryOf(existing);
+        if (state === 'active' && !currentKey(history) && history.some(entry => entry.retiredReason === 'compromised')) {
+            throw new Error(`Agent ${agentId} has only compromised keys; rotate its key with RotateDeviceKey first`);
+        }
+
+        const updated = this._withAgentState(ctx, existing, state, reason);
+        await this._putAgent(ctx, updated);
+
+        const change = updated.stateHistory[updated.stateHistory.length - 1];
+        ctx.stub.setEvent('AgentStateChanged', Buffer.from(JSON.stringify({ agentId, ...change })));
+        return JSON.stringify({ success: true, agent: updated });
     }
 
-    async UpdateContractStats(ctx, operation) {
-        const statsBytes = await ctx.stub.getState('CONTRACT_INFO');
-        if (statsBytes && statsBytes.length > 0) {
-            const stats = JSON.parse(statsBytes.toString());
-            if (operation === 'registration') {
-                stats.totalIdentities = (stats.totalIdentities || 0) + 1;
-                stats.lastActivity = new Date().toISOString();
+    // Hands a device agent over to a new key. The request is authorized either by
+    // an admin or by a signature of the current key over rotationStatement(); a
+    // suspended agent's key may be compromised, so only an admin rotates it.
+    async RotateDeviceKey(ctx, agentId, newPublicKey, signature) {
+        const existing = await this._getAgent(ctx, agentId);
+        if (!existing) {
+            throw new Error(`Agent ${agentId} does not exist`);
+        }
+        if (existing.state === 'revoked') {
+            throw new Error(`Agent ${agentId} is revoked`);
+        }
+        const history = keyHistoryOf(existing);
+        const current = currentKey(history);
+        if (signature) {
+            if (!current) {
+                throw new AccessDeniedError(`Agent ${agentId} has no current key to sign the rotation; an admin must install one`);
+            }
+            if (!isAgentActive(existing)) {
+                throw new AccessDeniedError(`Agent ${agentId} is ${existing.state}; only an admin can rotate its key`);
+            }
+            if (!verifySignature(readDeviceKey(current.publicKey), rotationStatement(agentId, current.keyId, newPublicKey), signature)) {
+                throw new AccessDeniedError(`Rotation of ${agentId} is not signed by its current key ${current.keyId}`);
             }
-            await ctx.stub.putState('CONTRACT_INFO', Buffer.from(JSON.stringify(stats)));
+        } else {
+            await this._requireRole(ctx, ['admin'], 'RotateDeviceKey');
         }
+
+        const now = this._getTxTime(ctx);
+        let entry;
+        try {
+            entry = newKeyEntry(`key-${history.length + 1}`, newPublicKey, now);
+        } catch (keyError) {
+            throw new Error(`Invalid public key: ${keyError.message}`);
+        }
+        const reused = history.find(previous => previous.fingerprint === entry.fingerprint);
+        if (reused) {
+            throw new Error(`Agent ${agentId} already held this key as ${reused.keyId}; rotate to a new key`);
+        }
+
+        const updated = {
+            ...existing,
+            metadata: { ...existing.metadata, publicKey: newPublicKey },
+            keyHistory: [
+                ...history.map(previous => (previous === current ? { ...previous, validUntil: now, retiredReason: 'rotated' } : previous)),
+                entry
+            ],
+            transactionId: ctx.stub.getTxID()
+        };
+        await this._putAgent(ctx, updated);
+
+        ctx.stub.setEvent('DeviceKeyRotated', Buffer.from(JSON.stringify({
+            agentId,
+            previousKeyId: current ? current.keyId : null,
+            keyId: entry.keyId,
+            authorizedBy: signature ? 'previousKey' : 'admin',
+            timestamp: now,
+            transactionId: updated.transactionId
+        })));
+        return JSON.stringify({ success: true, agentId, keyId: entry.keyId, keyHistory: updated.keyHistory });
     }
 
-    async GetContractInfo(ctx) {
-        const infoBytes = await ctx.stub.getState('CONTRACT_INFO');
-        if (!infoBytes || !infoBytes.length) {
-            return JSON.stringify({ contractVersion: '1.0.0', totalIdentities: 0, status: 'Not initialized' });
+    // Suspends the device at once and ends the validity of every key it has held
+    // at compromisedAt (default: now), so signatures made from then on, including
+    // any rotation the attacker signed, no longer verify. Earlier signatures still
+    // check out against the key valid when they were made. deviceId names an agent
+    // or an identity with a DID document. Recovery is an admin RotateDeviceKey
+    // (agents) or an UpdateDIDDocument adding a new key (identities), then
+    // UpdateAgentState or ReinstateIdentity back to active.
+    async ReportKeyCompromise(ctx, deviceId, compromisedAt, note) {
+        const now = this._getTxTime(ctx);
+        const since = compromisedAt ? this._parseTimestamp(compromisedAt, 'compromisedAt') : now;
+        if (since > now) {
+            throw new Error(`compromisedAt ${since} is in the future`);
         }
-        return infoBytes.toString();
+        const existing = await this._getAgent(ctx, deviceId);
+        if (!existing) {
+            return this._reportIdentityKeyCompromise(ctx, deviceId, since, note);
+        }
+        await this._requireRole(ctx, ['registrar', 'admin'], 'ReportKeyCompromise');
+        const agentId = deviceId;
+        const history = keyHistoryOf(existing);
+        if (history.length === 0) {
+            throw new Error(`Agent ${agentId} has no public key`);
+        }
+
+        const invalidated = [];
+        const keyHistory = history.map(entry => {
+            if (entry.validUntil !== null && entry.validUntil <= since) {
+                return entry;
+            }
+            invalidated.push(entry.keyId);
+            const validUntil = entry.validFrom > since ? entry.validFrom : since;
+            return { ...entry, validUntil, retiredReason: 'compromised', compromisedAt: since };
+        });
+        const { publicKey, ...metadata } = existing.metadata;
+        const reason = `Key compromise reported${note ? `: ${note}` : ''}`;
+        const updated = {
+            ...(existing.state === 'active' ? this._withAgentState(ctx, existing, 'suspended', reason) : existing),
+            metadata,
+            keyHistory,
+            transactionId: ctx.stub.getTxID()
+        };
+        await this._putAgent(ctx, updated);
+
+        ctx.stub.setEvent('DeviceKeyCompromised', Buffer.from(JSON.stringify({
+            agentId,
+            compromisedAt: since,
+            invalidatedKeys: invalidated,
+            state: updated.state,
+            actor: this._getActor(ctx),
+            timestamp: now,
+            transactionId: updated.transactionId
+        })));
+        return JSON.stringify({ success: true, agentId, state: updated.state, invalidatedKeys: invalidated, keyHistory });
+    }
+
+    // The identity's DID keys are revoked as of `since` and leave the document;
+    // the identity stays suspended until UpdateDIDDocument adds a new key
+    async _reportIdentityKeyCompromise(ctx, identityId, since, note) {
+        const identity = await this._getIdentity(ctx, identityId);
+        if (!identity) {
+            throw new Error(`No agent or identity ${identityId} is registered`);
+        }
+        await this._requireRole(ctx, ['registrar', 'admin'], 'ReportKeyCompromise', identity);
+        const key = ctx.stub.createCompositeKey(DID_KEY_PREFIX, [identity.type, identity.id]);
+        const bytes = await ctx.stub.getState(key);
+        if (!bytes || bytes.length === 0) {
+            throw new Error(`Identity ${identityId} has no DID document`);
+        }
+        const record = JSON.parse(bytes.toString());
+
+        const now = this._getTxTime(ctx);
+        const invalidated = [];
+        const keyHistory = record.keyHistory.map(entry => {
+            if (entry.revokedAt && entry.revokedAt <= since) {
+                return entry;
+            }
+            invalidated.push(entry.id);
+            const revokedAt = entry.addedAt > since ? entry.addedAt : since;
+            return { ...entry, revokedAt, revocationReason: 'compromised', compromisedAt: since };
+        });
+        const updated = {
+            ...record,
+            document: buildDidDocument(record.did, [], record.document.service),
+            keyHistory,
+            keyCompromise: { compromisedAt: since, reportedAt: now, note: note || '' },
+            updated: now,
+            versionId: record.versionId + 1,
+            transactionId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(updated)));
+
+        if (identity.status === 'active') {
+            await this._transitionIdentityStatus(ctx, identityId, 'suspended', 'key_compromise', note);
+        }
+        const status = identity.status === 'active' ? 'suspended' : identity.status;
+
+        ctx.stub.setEvent('DeviceKeyCompromised', Buffer.from(JSON.stringify({
+            identityId,
+            did: record.did,
+            compromisedAt: since,
+            invalidatedKeys: invalidated,
+            status,
+            actor: this._getActor(ctx),
+            timestamp: now,
+            transactionId: updated.transactionId
+        })));
+        return JSON.stringify({ success: true, identityId, did: record.did, status, invalidatedKeys: invalidated, keyHistory });
+    }
+
+    _withAgentState(ctx, agent, state, reason) {
+        const change = {
+            from: agent.state,
+            to: state,
+            reason: reason || '',
+            actor: this._getActor(ctx),
+            timestamp: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        return {
+            ...agent,
+            state,
+            stateHistory: [...(agent.stateHistory || []), change],
+            transactionId: change.transactionId
+        };
+    }
+
+    async _putAgent(ctx, agent) {
+        await ctx.stub.putState(ctx.stub.createCompositeKey(AGENT_KEY_PREFIX, [agent.agentId]), Buffer.from(JSON.stringify(agent)));
+
+        const validators = await this._readEligibleValidators(ctx) || await this._collectEligibleValidators(ctx);
+        const eligibleAgents = { ...validators.eligibleAgents };
+        if (agent.role === 'validator' && isAgentActive(agent)) {
+            eligibleAgents[agent.agentId] = agent.weight;
+        } else {
+            delete eligibleAgents[agent.agentId];
+        }
+        await ctx.stub.putState(ELIGIBLE_VALIDATORS_KEY, Buffer.from(JSON.stringify({
+            eligibleAgents,
+            totalWeight: Object.values(eligibleAgents).reduce((sum, weight) => sum + weight, 0),
+            updatedAt: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        })));
+    }
+
+    async GetAgent(ctx, agentId) {
+        await this._requireRole(ctx, LISTING_ROLES, 'GetAgent');
+        const agent = await this._getAgent(ctx, agentId);
+        if (!agent) {
+            throw new Error(`Agent ${agentId} does not exist`);
+        }
+        return JSON.stringify(agent);
+    }
+
+    // All agents, optionally of one role
+    async ListAgents(ctx, role) {
+        await this._requireRole(ctx, LISTING_ROLES, 'ListAgents');
+        if (role && !deviceAgentSchema.properties.role.enum.includes(role)) {
+            throw new Error(`Agent role must be one of ${deviceAgentSchema.properties.role.enum.join(', ')}`);
+        }
+        const agents = (await this._readAgents(ctx)).filter(agent => !role || agent.role === role);
+        return JSON.stringify({ agents, totalCount: agents.length });
+    }
+
+    // Challenge-response check: did the device sign the nonce with a key recorded
+    // on the ledger, either its agent's current key or a verification method in
+    // its identity's DID document? With signedAt, an older signed message is
+    // checked against the key that was valid at that time instead, whatever the
+    // device's state is now. Denials are returned, not thrown, so the caller can
+    // relay the IdentityVerification message to the device.
+    async VerifyDeviceSignature(ctx, deviceId, message, signature, signedAt) {
+        await this._requireRole(ctx, LISTING_ROLES, 'VerifyDeviceSignature');
+        const now = this._getTxTime(ctx);
+        const reply = (approved, reason) => JSON.stringify(buildIdentityVerification(deviceId, now, approved, reason));
+        if (!message) {
+            return reply(false, 'No challenge nonce was supplied');
+        }
+        let at = null;
+        if (signedAt) {
+            at = this._parseTimestamp(signedAt, 'signedAt');
+            if (at > now) {
+                return reply(false, `signedAt ${at} is in the future`);
+            }
+        }
+
+        const { keys, refusal } = await this._getDeviceKeys(ctx, deviceId, at);
+        if (refusal) {
+            return reply(false, refusal);
+        }
+        const unusable = [];
+        const algorithms = [];
+        for (const { label, publicKey } of keys) {
+            let deviceKey;
+            try {
+                deviceKey = readDeviceKey(publicKey);
+            } catch (keyError) {
+                unusable.push(`${label}: ${keyError.message}`);
+                continue;
+            }
+            if (verifySignature(deviceKey, message, signature)) {
+                return reply(true, at
+                    ? `Signature made at ${at} verified with ${label} (${deviceKey.algorithm})`
+                    : `Signature over the challenge verified with ${label} (${deviceKey.algorithm})`);
+            }
+            algorithms.push(deviceKey.algorithm);
+        }
+        if (algorithms.length === 0) {
+            return reply(false, `No usable public key is registered for ${deviceId}: ${unusable.join('; ')}`);
+        }
+        return reply(false, `Signature does not match the registered ${[...new Set(algorithms)].join(', ')} key${algorithms.length > 1 ? 's' : ''}`);
+    }
+
+    // Keys a device could sign with now, or at `at` when given, or the reason it
+    // could not sign at all
+    async _getDeviceKeys(ctx, deviceId, at) {
+        const agent = await this._getAgent(ctx, deviceId);
+        if (agent) {
+            if (!at && !isAgentActive(agent)) {
+                return { refusal: `Agent ${deviceId} is ${agent.state} and cannot sign messages` };
+            }
+            const history = keyHistoryOf(agent);
+            const entry = at ? keyValidAt(history, at) : currentKey(history);
+            if (!entry) {
+                return { refusal: at ? `No key of agent ${deviceId} was valid at ${at}` : `Agent ${deviceId} has no registered public key` };
+            }
+            return { keys: [{ label: `${entry.keyId} of agent ${deviceId}`, publicKey: entry.publicKey }] };
+        }
+
+        const identity = await this._getIdentity(ctx, deviceId);
+        if (!identity) {
+            return { refusal: `No agent or identity ${deviceId} is registered` };
+        }
+        if (!at && identity.status !== 'active') {
+            return { refusal: `Identity ${deviceId} is ${identity.status}` };
+        }
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(DID_KEY_PREFIX, [identity.type, identity.id]));
+        const record = bytes && bytes.length > 0 ? JSON.parse(bytes.toString()) : null;
+        if (!record || (!at && record.deactivated)) {
+            return { refusal: `Identity ${deviceId} has no DID document with verification keys` };
+        }
+        if (at) {
+            const valid = record.keyHistory.filter(entry => entry.addedAt <= at && (!entry.revokedAt || at < entry.revokedAt));
+            if (valid.length === 0) {
+                return { refusal: `No key of ${record.did} was valid at ${at}` };
+            }
+            return { keys: valid.map(entry => ({ label: entry.id, publicKey: entry.publicKeyJwk })) };
+        }
+        return { keys: record.document.verificationMethod.map(method => ({ label: method.id, publicKey: method.publicKeyJwk })) };
+    }
+
+    // The caller's agent is found through its enrollment, so nobody can vote for
+    // an agent whose credentials they do not hold
+    async CastAgentVote(ctx, identityId, decision, reason) {
+        if (!VOTE_DECISIONS.includes(decision)) {
+            throw new Error(`Vote must be one of ${VOTE_DECISIONS.join(', ')}`);
+        }
+        const actor = this._getActor(ctx);
+        const agent = await this._getAgentByEnrollment(ctx, actor);
+        if (!agent) {
+            throw new AccessDeniedError(`${actor.mspId}/${actor.id} is not enrolled as a consensus agent`);
+        }
+        if (agent.role !== 'validator') {
+            throw new AccessDeniedError(`Agent ${agent.agentId} is a ${agent.role}; only validators vote`);
+        }
+        if (!isAgentActive(agent)) {
+            throw new AccessDeniedError(`Agent ${agent.agentId} is ${agent.state} and cannot vote`);
+        }
+
+        const proposal = await this._getProposal(ctx, identityId);
+        if (!proposal) {
+            throw new Error(`No proposal for identity ${identityId}`);
+        }
+        if (proposal.status !== 'open') {
+            throw new Error(`Voting on ${identityId} is closed (${proposal.status})`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(proposal.eligibleAgents, agent.agentId)) {
+            throw new Error(`Agent ${agent.agentId} was not enrolled when voting on ${identityId} opened`);
+        }
+        if (proposal.votes.some(vote => vote.agentId === agent.agentId)) {
+            throw new Error(`Agent ${agent.agentId} has already voted on ${identityId}`);
+        }
+
+        // A late vote closes the proposal instead of counting; returning rather than
+        // throwing keeps that closure on the ledger
+        const now = this._getTxTime(ctx);
+        if (now > proposal.deadline) {
+            await this._closeProposal(ctx, proposal, 'expired');
+            return JSON.stringify({ success: false, identityId, outcome: 'expired', explanation: `Voting closed at ${proposal.deadline}` });
+        }
+
+        const vote = {
+            agentId: agent.agentId,
+            weight: proposal.eligibleAgents[agent.agentId],
+            decision,
+            reason: reason || '',
+            voter: actor,
+            castAt: now,
+            transactionId: ctx.stub.getTxID()
+        };
+        proposal.votes.push(vote);
+        const tally = tallyVotes(proposal);
+        if (tally.outcome === 'open') {
+            await ctx.stub.putState(ctx.stub.createCompositeKey(PROPOSAL_KEY_PREFIX, [identityId]), Buffer.from(JSON.stringify(proposal)));
+        } else {
+            await this._closeProposal(ctx, proposal, tally.outcome);
+        }
+
+        ctx.stub.setEvent('AgentVoteCast', Buffer.from(JSON.stringify({
+            identityId,
+            agentId: vote.agentId,
+            decision,
+            weight: vote.weight,
+            outcome: tally.outcome,
+            timestamp: now,
+            transactionId: vote.transactionId
+        })));
+        return JSON.stringify({ success: true, identityId, vote, tally });
+    }
+
+    // Settles a proposal whose deadline passed without reaching either threshold
+    async CloseProposal(ctx, identityId) {
+        await this._requireRole(ctx, ['registrar', 'admin'], 'CloseProposal');
+        const proposal = await this._getProposal(ctx, identityId);
+        if (!proposal) {
+            throw new Error(`No proposal for identity ${identityId}`);
+        }
+        if (proposal.status !== 'open') {
+            throw new Error(`Voting on ${identityId} is closed (${proposal.status})`);
+        }
+        if (this._getTxTime(ctx) <= proposal.deadline) {
+            throw new Error(`Voting on ${identityId} is open until ${proposal.deadline}`);
+        }
+        await this._closeProposal(ctx, proposal, 'expired');
+        return JSON.stringify({ success: true, identityId, outcome: 'expired', tally: tallyVotes(proposal) });
+    }
+
+    async GetProposal(ctx, identityId) {
+        const identity = await this._getIdentity(ctx, identityId);
+        const proposal = await this._getProposal(ctx, identityId);
+        if (!identity || !proposal) {
+            throw new Error(`No proposal for identity ${identityId}`);
+        }
+        await this._requireRole(ctx, LISTING_ROLES, 'GetProposal', identity);
+        return JSON.stringify({ ...proposal, tally: tallyVotes(proposal) });
+    }
+
+    // Writes the outcome to the proposal and moves the identity out of pending.
+    // The identity's consensusTrace lists every vote that was cast. An identity
+    // that has left pending some other way (revoked) is left alone.
+    async _closeProposal(ctx, proposal, outcome) {
+        const existing = await this._getIdentity(ctx, proposal.identityId);
+        if (!existing || existing.status !== 'pending') {
+            return proposal;
+        }
+        const tally = tallyVotes(proposal);
+        const now = this._getTxTime(ctx);
+        const closed = { ...proposal, status: outcome, closedAt: now, tally };
+        await ctx.stub.putState(ctx.stub.createCompositeKey(PROPOSAL_KEY_PREFIX, [proposal.identityId]), Buffer.from(JSON.stringify(closed)));
+
+        const status = outcome === 'approved' ? 'active' : 'rejected';
+        const summary = `${tally.approveWeight}/${tally.totalWeight} weight approved, ${tally.rejectWeight} rejected`;
+        const change = {
+            from: existing.status,
+            to: status,
+            reasonCode: outcome === 'expired' ? 'voting_deadline_passed' : 'agent_consensus',
+            note: summary,
+            actor: this._getActor(ctx),
+            timestamp: now,
+            transactionId: ctx.stub.getTxID()
+        };
+        const outcomeLine = {
+            approved: `✅ Consensus reached: ${summary}`,
+            rejected: `❌ Consensus failed: ${summary}`,
+            expired: `❌ Voting deadline ${proposal.deadline} passed: ${summary}`
+        }[outcome];
+        await this._putIdentity(ctx, {
+            ...existing,
+            status,
+            statusHistory: [...(existing.statusHistory || []), change],
+            consensusTrace: [...(existing.consensusTrace || []).slice(0, 1), ...proposal.votes.map(formatVote), outcomeLine],
+            ...this._nextVersion(existing),
+            lastUpdateTime: now,
+            transactionId: change.transactionId
+        });
+        // Odometer readings of registrations only count once agents approve them
+        if (status === 'active') {
+            const mileageCheck = await this._checkMileage(ctx, existing.data.vin, existing.data.mileage);
+            await this._appendMileage(ctx, existing, existing.data.mileage, 'registration', mileageCheck.ok ? null : mileageCheck.explanation);
+        }
+        await this._recordStats(ctx, existing, status === 'active' ? 'approved' : 'rejected', { [existing.status]: -1, [status]: 1 });
+        return closed;
+    }
+
+    // A pending identity revoked before agents decided: no more votes are taken
+    async _withdrawProposal(ctx, identityId) {
+        const proposal = await this._getProposal(ctx, identityId);
+        if (!proposal || proposal.status !== 'open') return;
+        const withdrawn = { ...proposal, status: 'withdrawn', closedAt: this._getTxTime(ctx), tally: tallyVotes(proposal) };
+        await ctx.stub.putState(ctx.stub.createCompositeKey(PROPOSAL_KEY_PREFIX, [identityId]), Buffer.from(JSON.stringify(withdrawn)));
+    }
+
+    async _getProposal(ctx, identityId) {
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(PROPOSAL_KEY_PREFIX, [identityId]));
+        if (!bytes || bytes.length === 0) return null;
+        return JSON.parse(bytes.toString());
+    }
+
+    async _getAgent(ctx, agentId) {
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(AGENT_KEY_PREFIX, [agentId]));
+        if (!bytes || bytes.length === 0) return null;
+        return JSON.parse(bytes.toString());
+    }
+
+    async _getAgentByEnrollment(ctx, actor) {
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(AGENT_ENROLLMENT_PREFIX, [actor.mspId, actor.id]));
+        if (!bytes || bytes.length === 0) return null;
+        return this._getAgent(ctx, JSON.parse(bytes.toString()).agentId);
+    }
+
+    async _readAgents(ctx) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(AGENT_KEY_PREFIX, []);
+        const agents = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            agents.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return agents;
+    }
+
+    async _readEligibleValidators(ctx) {
+        const bytes = await ctx.stub.getState(ELIGIBLE_VALIDATORS_KEY);
+        if (!bytes || bytes.length === 0) return null;
+        return JSON.parse(bytes.toString());
+    }
+
+    // Scans the agents; only for ledgers whose agents predate the snapshot key
+    async _collectEligibleValidators(ctx) {
+        const eligibleAgents = {};
+        for (const agent of await this._readAgents(ctx)) {
+            if (agent.role === 'validator' && isAgentActive(agent)) {
+                eligibleAgents[agent.agentId] = agent.weight;
+            }
+        }
+        return { eligibleAgents };
+    }
+
+    // Weights of the validators that may vote on a proposal opened now
+    async _getEligibleAgents(ctx) {
+        const validators = await this._readEligibleValidators(ctx) || await this._collectEligibleValidators(ctx);
+        const eligible = validators.eligibleAgents;
+        if (Object.keys(eligible).length === 0) {
+            throw new Error('No active validator agents are registered; register validators with RegisterAgent first');
+        }
+        return eligible;
+    }
+
+    // Identity links: <from> <relation> <to>, e.g. COLLAR-1 attachedTo PET-7
+    async LinkIdentities(ctx, fromId, relation, toId) {
+        if (!LINK_RELATIONS[relation]) {
+            throw new Error(`Unknown relation ${relation}; expected one of ${Object.keys(LINK_RELATIONS).join(', ')}`);
+        }
+        if (fromId === toId) {
+            throw new Error('An identity cannot be linked to itself');
+        }
+        const from = await this._getIdentity(ctx, fromId);
+        const to = await this._getIdentity(ctx, toId);
+        if (!from || !to) {
+            throw new Error(`Identity ${from ? toId : fromId} does not exist`);
+        }
+        await this._requireRole(ctx, ['registrar', 'admin'], 'LinkIdentities', from);
+        for (const identity of [from, to]) {
+            if (identity.status !== 'active') {
+                throw new Error(`Identity ${identity.id} is ${identity.status} and cannot be linked`);
+            }
+        }
+
+        const key = ctx.stub.createCompositeKey(LINK_KEY_PREFIX, [fromId, relation, toId]);
+        const existing = await ctx.stub.getState(key);
+        if (existing && existing.length > 0) {
+            throw new Error(`${fromId} is already ${relation} ${toId}`);
+        }
+        if (LINK_RELATIONS[relation].singleTarget) {
+            const [current] = await this._readLinks(ctx, LINK_KEY_PREFIX, [fromId, relation]);
+            if (current) {
+                throw new Error(`${fromId} is already ${relation} ${current.to}; unlink it first`);
+            }
+        }
+
+        const link = {
+            docType: 'identityLink',
+            from: fromId,
+            relation,
+            to: toId,
+            createdAt: this._getTxTime(ctx),
+            createdBy: this._getActor(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        const bytes = Buffer.from(JSON.stringify(link));
+        await ctx.stub.putState(key, bytes);
+        await ctx.stub.putState(ctx.stub.createCompositeKey(LINK_REVERSE_PREFIX, [toId, relation, fromId]), bytes);
+
+        ctx.stub.setEvent('IdentitiesLinked', Buffer.from(JSON.stringify(link)));
+        return JSON.stringify({ success: true, link });
+    }
+
+    async UnlinkIdentities(ctx, fromId, relation, toId) {
+        const key = ctx.stub.createCompositeKey(LINK_KEY_PREFIX, [fromId, relation, toId]);
+        const bytes = await ctx.stub.getState(key);
+        if (!bytes || bytes.length === 0) {
+            throw new Error(`${fromId} is not ${relation} ${toId}`);
+        }
+        // Unlinking stays possible after the source identity was revoked
+        const from = await this._getIdentity(ctx, fromId);
+        await this._requireRole(ctx, ['registrar', 'admin'], 'UnlinkIdentities', from);
+
+        await ctx.stub.deleteState(key);
+        await ctx.stub.deleteState(ctx.stub.createCompositeKey(LINK_REVERSE_PREFIX, [toId, relation, fromId]));
+
+        const event = {
+            from: fromId,
+            relation,
+            to: toId,
+            unlinkedAt: this._getTxTime(ctx),
+            unlinkedBy: this._getActor(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        ctx.stub.setEvent('IdentitiesUnlinked', Buffer.from(JSON.stringify(event)));
+        return JSON.stringify({ success: true, ...event });
+    }
+
+    // Breadth-first walk over links in both directions, up to maxDepth hops. Each
+    // related identity is reported once, at the depth it was first reached.
+    async GetRelatedIdentities(ctx, identityId, maxDepth) {
+        const root = await this._getIdentity(ctx, identityId);
+        if (!root) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        await this._requireRole(ctx, LISTING_ROLES, 'GetRelatedIdentities', root);
+
+        const depthLimit = maxDepth === undefined || maxDepth === null || maxDepth === '' ? 1 : Number(maxDepth);
+        if (!Number.isInteger(depthLimit) || depthLimit < 1 || depthLimit > MAX_LINK_DEPTH) {
+            throw new Error(`maxDepth must be an integer between 1 and ${MAX_LINK_DEPTH}`);
+        }
+
+        const visited = new Set([identityId]);
+        const related = [];
+        const links = new Map();
+        let frontier = [identityId];
+        for (let depth = 1; depth <= depthLimit && frontier.length > 0; depth++) {
+            const next = [];
+            for (const id of frontier) {
+                const outgoing = await this._readLinks(ctx, LINK_KEY_PREFIX, [id]);
+                const incoming = await this._readLinks(ctx, LINK_REVERSE_PREFIX, [id]);
+                const edges = [
+                    ...outgoing.map(link => ({ link, neighbourId: link.to, direction: 'outgoing' })),
+                    ...incoming.map(link => ({ link, neighbourId: link.from, direction: 'incoming' }))
+                ];
+                for (const { link, neighbourId, direction } of edges) {
+                    links.set(`${link.from} ${link.relation} ${link.to}`, link);
+                    if (visited.has(neighbourId)) continue;
+                    visited.add(neighbourId);
+                    const neighbour = await this._getIdentity(ctx, neighbourId);
+                    related.push({
+                        id: neighbourId,
+                        type: neighbour ? neighbour.type : null,
+                        status: neighbour ? neighbour.status : 'missing',
+                        relation: link.relation,
+                        direction,
+                        via: id,
+                        depth
+                    });
+                    next.push(neighbourId);
+                }
+            }
+            frontier = next;
+        }
+
+        return JSON.stringify({ identityId, maxDepth: depthLimit, related, links: [...links.values()], totalCount: related.length });
+    }
+
+    async _readLinks(ctx, prefix, attributes) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(prefix, attributes);
+        const links = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            links.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return links;
+    }
+
+    // Verifiable credentials: the ledger assigns the status-list entry and keeps the hash
+    async IssueCredential(ctx, identityId, credentialJson) {
+        const identity = await this._getIdentity(ctx, identityId);
+        if (!identity) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        await this._requireRole(ctx, ['registrar', 'admin'], 'IssueCredential');
+        if (identity.status !== 'active') {
+            throw new Error(`Identity ${identityId} is ${identity.status}; credentials are only issued to active identities`);
+        }
+
+        const credential = JSON.parse(credentialJson);
+        const problems = checkCredential(credential, identityId);
+        if (problems.length > 0) {
+            throw new Error(`Invalid credential: ${problems.join('; ')}`);
+        }
+        const key = ctx.stub.createCompositeKey(CREDENTIAL_KEY_PREFIX, [credential.id]);
+        const existing = await ctx.stub.getState(key);
+        if (existing && existing.length > 0) {
+            throw new Error(`Credential ${credential.id} is already issued`);
+        }
+
+        const statusListIndex = await this._claimStatusIndex(ctx, credential.id);
+
+        const statusListCredential = (credential.credentialStatus && credential.credentialStatus.statusListCredential)
+            || `urn:udif:status-list:${STATUS_LIST_ID}`;
+        credential.issuanceDate = credential.issuanceDate || this._getTxTime(ctx);
+        credential.credentialStatus = {
+            id: `${statusListCredential}#${statusListIndex}`,
+            type: 'StatusList2021Entry',
+            statusPurpose: 'revocation',
+            statusListIndex: String(statusListIndex),
+            statusListCredential
+        };
+
+        const record = {
+            docType: 'credential',
+            credentialId: credential.id,
+            identityId,
+            identityType: identity.type,
+            issuer: typeof credential.issuer === 'string' ? credential.issuer : credential.issuer.id,
+            credentialHash: hashCredential(credential),
+            statusListId: STATUS_LIST_ID,
+            statusListIndex,
+            status: 'active',
+            issuedBy: this._getActor(ctx),
+            issuedAt: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(record)));
+
+        ctx.stub.setEvent('CredentialIssued', Buffer.from(JSON.stringify({
+            credentialId: record.credentialId,
+            identityId,
+            credentialHash: record.credentialHash,
+            statusListIndex,
+            transactionId: record.transactionId
+        })));
+
+        return JSON.stringify({ success: true, credential, record });
+    }
+
+    async RevokeCredential(ctx, credentialId, reasonCode, note) {
+        const record = await this._getCredentialRecord(ctx, credentialId);
+        if (!record) {
+            throw new Error(`Credential ${credentialId} does not exist`);
+        }
+        await this._requireRole(ctx, ['registrar', 'admin'], 'RevokeCredential', await this._getIdentity(ctx, record.identityId));
+        if (!LIFECYCLE_REASON_CODES.includes(reasonCode)) {
+            throw new Error(`Invalid reason code: ${reasonCode}. Expected one of ${LIFECYCLE_REASON_CODES.join(', ')}`);
+        }
+        if (record.status === 'revoked') {
+            throw new Error(`Credential ${credentialId} is already revoked`);
+        }
+
+        const revoked = {
+            ...record,
+            status: 'revoked',
+            revocation: {
+                reasonCode,
+                note: note || '',
+                actor: this._getActor(ctx),
+                timestamp: this._getTxTime(ctx),
+                transactionId: ctx.stub.getTxID()
+            }
+        };
+        await ctx.stub.putState(ctx.stub.createCompositeKey(CREDENTIAL_KEY_PREFIX, [credentialId]), Buffer.from(JSON.stringify(revoked)));
+
+        ctx.stub.setEvent('CredentialRevoked', Buffer.from(JSON.stringify({
+            credentialId,
+            identityId: record.identityId,
+            statusListIndex: record.statusListIndex,
+            ...revoked.revocation
+        })));
+
+        return JSON.stringify({ success: true, credentialId, status: revoked.status, revocation: revoked.revocation });
+    }
+
+    // Open to any verifier: the record carries hashes and statuses, no PII. A credential
+    // whose identity is no longer active is reported as revoked as well.
+    async GetCredentialStatus(ctx, credentialId) {
+        const record = await this._getCredentialRecord(ctx, credentialId);
+        if (!record) {
+            throw new Error(`Credential ${credentialId} does not exist`);
+        }
+        const identity = await this._getIdentity(ctx, record.identityId);
+        const identityStatus = identity ? identity.status : 'unknown';
+        return JSON.stringify({
+            ...record,
+            identityStatus,
+            revoked: record.status === 'revoked' || identityStatus !== 'active'
+        });
+    }
+
+    // The first free index from the one derived from the credential id, skipping
+    // those the old counter handed out
+    async _claimStatusIndex(ctx, credentialId) {
+        const legacyBytes = await ctx.stub.getState(ctx.stub.createCompositeKey(STATUS_LIST_KEY_PREFIX, [STATUS_LIST_ID]));
+        const firstIndex = legacyBytes && legacyBytes.length ? JSON.parse(legacyBytes.toString()).nextIndex : 0;
+        const preferred = preferredStatusIndex(credentialId, firstIndex);
+        for (let offset = 0; offset < STATUS_LIST_SIZE - firstIndex; offset++) {
+            const index = firstIndex + (preferred - firstIndex + offset) % (STATUS_LIST_SIZE - firstIndex);
+            const entryKey = ctx.stub.createCompositeKey(STATUS_ENTRY_KEY_PREFIX, [STATUS_LIST_ID, String(index)]);
+            const taken = await ctx.stub.getState(entryKey);
+            if (!taken || taken.length === 0) {
+                await ctx.stub.putState(entryKey, Buffer.from(JSON.stringify({ credentialId })));
+                return index;
+            }
+        }
+        throw new Error(`Status list ${STATUS_LIST_ID} is full`);
+    }
+
+    async _getCredentialRecord(ctx, credentialId) {
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(CREDENTIAL_KEY_PREFIX, [credentialId]));
+        if (!bytes || bytes.length === 0) return null;
+        return JSON.parse(bytes.toString());
+    }
+
+    // DID documents: did:udif:<type>:<id> lists the identity's keys and service endpoints
+    async CreateDIDDocument(ctx, identityId, documentJson) {
+        const identity = await this._getIdentity(ctx, identityId);
+        if (!identity) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        await this._requireRole(ctx, ['registrar', 'admin'], 'CreateDIDDocument', identity);
+        if (identity.status !== 'active') {
+            throw new Error(`Identity ${identityId} is ${identity.status} and cannot publish a DID document`);
+        }
+
+        const did = formatDid(identity.type, identity.id);
+        if (!parseDid(did)) {
+            throw new Error(`Identity id ${identityId} cannot be expressed as a did:${DID_METHOD} identifier`);
+        }
+        const key = ctx.stub.createCompositeKey(DID_KEY_PREFIX, [identity.type, identity.id]);
+        const existing = await ctx.stub.getState(key);
+        if (existing && existing.length > 0) {
+            throw new Error(`DID ${did} already exists; use UpdateDIDDocument`);
+        }
+
+        const request = JSON.parse(documentJson || '{}');
+        const verificationMethods = (request.verificationMethods || []).map(method => toVerificationMethod(did, method));
+        if (verificationMethods.length === 0) {
+            throw new Error('A DID document needs at least one verification method');
+        }
+        this._assertUniqueIds(verificationMethods.map(method => method.id));
+        const services = (request.services || []).map(service => toService(did, service));
+
+        const now = this._getTxTime(ctx);
+        const record = {
+            docType: 'didDocument',
+            did,
+            identityId: identity.id,
+            identityType: identity.type,
+            document: buildDidDocument(did, verificationMethods, services),
+            keyHistory: verificationMethods.map(method => ({ id: method.id, publicKeyJwk: method.publicKeyJwk, addedAt: now, revokedAt: null })),
+            created: now,
+            updated: now,
+            versionId: 1,
+            deactivated: false,
+            transactionId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(record)));
+
+        ctx.stub.setEvent('DIDDocumentCreated', Buffer.from(JSON.stringify({
+            did,
+            identityId: identity.id,
+            versionId: record.versionId,
+            keys: verificationMethods.map(method => method.id),
+            transactionId: record.transactionId
+        })));
+
+        return JSON.stringify({ success: true, did, didDocument: record.document });
+    }
+
+    // Rotation adds the new key and removes the old one in one version. Removed keys
+    // stay in keyHistory so signatures made while they were valid can still be checked.
+    async UpdateDIDDocument(ctx, did, updateJson) {
+        const parsed = parseDid(did);
+        if (!parsed) {
+            throw new Error(`${did} is not a did:${DID_METHOD} identifier`);
+        }
+        const key = ctx.stub.createCompositeKey(DID_KEY_PREFIX, [parsed.type, parsed.identityId]);
+        const bytes = await ctx.stub.getState(key);
+        if (!bytes || bytes.length === 0) {
+            throw new Error(`DID ${did} does not exist`);
+        }
+        const record = JSON.parse(bytes.toString());
+        await this._requireRole(ctx, ['registrar', 'admin'], 'UpdateDIDDocument', await this._getIdentity(ctx, parsed.identityId));
+        if (record.deactivated) {
+            throw new Error(`DID ${did} is deactivated`);
+        }
+
+        const update = JSON.parse(updateJson);
+        const now = this._getTxTime(ctx);
+        const current = record.document.verificationMethod;
+        const removedIds = (update.removeVerificationMethods || []).map(id => (id.startsWith(`${did}#`) ? id : `${did}#${id}`));
+        const unknown = removedIds.filter(id => !current.some(method => method.id === id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown verification methods: ${unknown.join(', ')}`);
+        }
+        const added = (update.addVerificationMethods || []).map(method => toVerificationMethod(did, method));
+        // Key ids are never reused, so a historical signature names exactly one key
+        this._assertUniqueIds([...record.keyHistory.map(entry => entry.id), ...added.map(method => method.id)]);
+
+        const deactivate = update.deactivate === true;
+        const verificationMethods = deactivate
+            ? []
+            : [...current.filter(method => !removedIds.includes(method.id)), ...added];
+        if (!deactivate && verificationMethods.length === 0) {
+            throw new Error('A DID document needs at least one verification method; add the new key before removing the last one');
+        }
+        const services = update.services
+            ? update.services.map(service => toService(did, service))
+            : record.document.service;
+
+        const retiring = deactivate ? current.map(method => method.id) : removedIds;
+        const updated = {
+            ...record,
+            document: buildDidDocument(did, verificationMethods, services),
+            keyHistory: [
+                ...record.keyHistory.map(entry => (retiring.includes(entry.id) && !entry.revokedAt ? { ...entry, revokedAt: now } : entry)),
+                ...added.map(method => ({ id: method.id, publicKeyJwk: method.publicKeyJwk, addedAt: now, revokedAt: null }))
+            ],
+            updated: now,
+            versionId: record.versionId + 1,
+            deactivated: deactivate,
+            transactionId: ctx.stub.getTxID()
+        };
+        // A new key is the rotation a compromise report waits for
+        if (added.length > 0) {
+            delete updated.keyCompromise;
+        }
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(updated)));
+
+        ctx.stub.setEvent('DIDDocumentUpdated', Buffer.from(JSON.stringify({
+            did,
+            versionId: updated.versionId,
+            addedKeys: added.map(method => method.id),
+            removedKeys: retiring,
+            deactivated: deactivate,
+            transactionId: updated.transactionId
+        })));
+
+        return JSON.stringify({ success: true, did, versionId: updated.versionId, didDocument: updated.document });
+    }
+
+    // DID resolution result as defined by DID Core; errors lead with the resolution error code
+    async ResolveDID(ctx, did) {
+        const parsed = parseDid(did);
+        if (!parsed) {
+            throw new Error(`invalidDid: ${did} is not a did:${DID_METHOD} identifier`);
+        }
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(DID_KEY_PREFIX, [parsed.type, parsed.identityId]));
+        if (!bytes || bytes.length === 0) {
+            throw new Error(`notFound: ${did}`);
+        }
+        const record = JSON.parse(bytes.toString());
+        // A revoked identity takes its DID down with it
+        const identity = await this._getIdentity(ctx, parsed.identityId);
+        const deactivated = record.deactivated || !identity || identity.status === 'revoked';
+
+        return JSON.stringify({
+            didDocument: record.document,
+            didDocumentMetadata: {
+                created: record.created,
+                updated: record.updated,
+                versionId: String(record.versionId),
+                deactivated,
+                keyHistory: record.keyHistory
+            },
+            didResolutionMetadata: { contentType: 'application/did+ld+json' }
+        });
+    }
+
+    _assertUniqueIds(ids) {
+        const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+        if (duplicates.length > 0) {
+            throw new Error(`Verification method ids must be unique: ${[...new Set(duplicates)].join(', ')}`);
+        }
+    }
+
+    // Owner PII in the private data collection
+    async ReadIdentityPrivateDetails(ctx, identityId) {
+        const identity = await this._getIdentity(ctx, identityId);
+        if (!identity) {
+            throw new Error(`Identity ${identityId} does not exist`);
+        }
+        await this._requireRole(ctx, ['registrar', 'auditor', 'admin'], 'ReadIdentityPrivateDetails', identity);
+
+        // Collection membership is per org, so a client may only read through its own org's peer
+        const peerMspId = ctx.stub.getMspID();
+        const clientMspId = ctx.clientIdentity.getMSPID();
+        if (clientMspId !== peerMspId) {
+            throw new AccessDeniedError(`${clientMspId} clients cannot read private details through a ${peerMspId} peer`);
+        }
+
+        const stored = await this._readPrivateDetails(ctx, identityId);
+        if (!stored) {
+            throw new Error(`No private details for identity ${identityId} in collection ${PRIVATE_DETAILS_COLLECTION}`);
+        }
+        return JSON.stringify({
+            identityId,
+            collection: PRIVATE_DETAILS_COLLECTION,
+            details: stored.fields,
+            recordedAt: stored.recordedAt,
+            hashMatches: hashPrivateDetails(stored.fields, stored.salt) === identity.privateDataHash
+        });
+    }
+
+    // Rejects PII in public data, then returns the transient private details (or null).
+    // A batch passes each item's entry of the transient map as transientPayload.
+    async _takePrivateDetails(ctx, type, publicData, transientPayload) {
+        const definition = await this._getTypeDefinition(ctx, type);
+        const privateFields = (definition && definition.privateFields) || [];
+        const inline = findInlinePrivateFields(publicData, privateFields);
+        if (inline.length > 0) {
+            throw new Error(`${inline.join(', ')} must be passed in transient ${PRIVATE_DETAILS_TRANSIENT_KEY}, not in public data`);
+        }
+        if (transientPayload === undefined) {
+            return readTransientPrivateDetails(ctx, privateFields);
+        }
+        return transientPayload === null ? null : checkPrivateDetails(transientPayload, privateFields);
+    }
+
+    // Writes the private record and returns the fields linking it to the public one
+    async _putPrivateDetails(ctx, identity, { fields, salt }) {
+        const record = {
+            identityId: identity.id,
+            type: identity.type,
+            fields,
+            salt,
+            recordedAt: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putPrivateData(PRIVATE_DETAILS_COLLECTION, identity.id, Buffer.from(JSON.stringify(record)));
+        return { privateDataCollection: PRIVATE_DETAILS_COLLECTION, privateDataHash: hashPrivateDetails(fields, salt) };
+    }
+
+    async _readPrivateDetails(ctx, identityId) {
+        const bytes = await ctx.stub.getPrivateData(PRIVATE_DETAILS_COLLECTION, identityId);
+        if (!bytes || bytes.length === 0) return null;
+        return JSON.parse(bytes.toString());
+    }
+
+    _isSameActor(a, b) {
+        return !!a && !!b && a.mspId === b.mspId && a.id === b.id;
+    }
+
+    // MSP and subject of the submitting client, recorded on every state change
+    _getActor(ctx) {
+        if (!ctx.clientIdentity) {
+            return { mspId: 'unknown', id: 'unknown' };
+        }
+        return { mspId: ctx.clientIdentity.getMSPID(), id: ctx.clientIdentity.getID() };
+    }
+
+    // Validation logic
+    async ValidateIdentityData(ctx, identityData) {
+        const trace = ['Starting identity data validation'];
+        try {
+            if (!identityData.id || !identityData.type || !identityData.data) {
+                return { valid: false, explanation: 'Missing required fields: id, type, or data', trace: [...trace, '❌ Missing basic info'] };
+            }
+            trace.push('✅ Basic structure valid');
+
+            const definition = await this._getTypeDefinition(ctx, identityData.type);
+            if (!definition) {
+                return { valid: false, explanation: `Unsupported identity type: ${identityData.type}`, trace: [...trace, '❌ Unsupported type'] };
+            }
+
+            const schemaResult = validateAgainstSchema(definition.schema, identityData.data, '/data');
+            if (!schemaResult.valid) {
+                return {
+                    valid: false,
+                    explanation: schemaResult.errors.map(error => `${error.instancePath} ${error.message}`).join('; '),
+                    errors: schemaResult.errors,
+                    trace: [...trace, ...schemaResult.errors.map(error => `❌ ${error.instancePath} ${error.message} (${error.schemaPath})`)]
+                };
+            }
+            trace.push(`✅ ${definition.name} schema validated (type definition v${definition.version || 1})`);
+
+            const failedRule = this._findFailedRule(ctx, definition.validationRules, identityData.data);
+            if (failedRule) {
+                const error = {
+                    instancePath: `/data/${failedRule.field}`,
+                    schemaPath: `#/validationRules/${failedRule.rule}`,
+                    keyword: failedRule.rule,
+                    params: { limit: failedRule.value },
+                    message: this._ruleFailureMessage(failedRule, identityData.data)
+                };
+                return { valid: false, explanation: `${error.instancePath} ${error.message}`, errors: [error], trace: [...trace, `❌ ${error.instancePath} ${error.message}`] };
+            }
+            trace.push(...this._describeRules(ctx, definition.validationRules, identityData.data));
+            trace.push(`✅ ${definition.name} fields validated`);
+
+            trace.push('✅ All validations passed');
+            return { valid: true, explanation: 'All validations passed successfully', errors: [], trace };
+
+        } catch (error) {
+            return { valid: false, explanation: error.message, trace: [...trace, `❌ Error: ${error.message}`] };
+        }
+    }
+
+    // Authentication rules
+    async ApplyAuthenticationRules(ctx, identityData) {
+        const trace = ['Applying authentication rules'];
+        const existing = await this._getIdentity(ctx, identityData.id);
+        if (existing) return { authenticated: false, explanation: 'Duplicate identity', trace };
+
+        const definition = await this._getTypeDefinition(ctx, identityData.type);
+        const requiredFields = definition
+            ? definition.requiredFields || definition.schema.required || []
+            : this.getRequiredFieldsForType(identityData.type);
+        for (const field of requiredFields) {
+            const value = identityData.data[field];
+            if (value === undefined || value === null || value === '') {
+                return { authenticated: false, explanation: `Missing required field: ${field}`, trace };
+            }
+        }
+
+        const consistencyCheck = await this.CheckCrossDomainConsistency(ctx, identityData);
+        trace.push(...consistencyCheck.trace);
+        if (!consistencyCheck.consistent) {
+            return { authenticated: false, explanation: consistencyCheck.reason, trace };
+        }
+
+        const mileageCheck = await this._checkMileage(ctx, identityData.data.vin, identityData.data.mileage);
+        trace.push(...mileageCheck.trace);
+        if (!mileageCheck.ok) {
+            return { authenticated: false, explanation: mileageCheck.explanation, trace };
+        }
+
+        return { authenticated: true, explanation: 'All authentication rules passed - identity verified', trace };
+    }
+
+    // Required fields of the built-in types; runtime checks read the type registry instead
+    getRequiredFieldsForType(type) {
+        const definition = BUILTIN_IDENTITY_TYPES[type];
+        return definition ? [...definition.requiredFields] : ['id'];
+    }
+
+    async CheckCrossDomainConsistency(ctx, identityData) {
+        const definition = await this._getTypeDefinition(ctx, identityData.type);
+        if (definition) {
+            const failedRule = this._findFailedRule(ctx, definition.consistencyRules, identityData.data);
+            if (failedRule) {
+                const reason = this._ruleFailureMessage(failedRule, identityData.data);
+                return { consistent: false, reason, trace: [`❌ ${reason}`] };
+            }
+            const trace = this._describeRules(ctx, definition.consistencyRules, identityData.data);
+            return { consistent: true, reason: 'Cross-domain consistency verified', trace };
+        }
+        return { consistent: true, reason: 'Cross-domain consistency verified', trace: [] };
+    }
+
+    _findFailedRule(ctx, rules, data) {
+        const currentYear = new Date(this._getTxTime(ctx)).getUTCFullYear();
+        return (rules || []).find(rule => !evaluateRule(rule, data[rule.field], currentYear)) || null;
+    }
+
+    // Rule message, followed by what a decoding rule objected to
+    _ruleFailureMessage(rule, data) {
+        const detail = explainRuleFailure(rule, data[rule.field]);
+        return detail ? `${rule.message}: ${detail}` : rule.message;
+    }
+
+    // Trace lines for decoding rules that passed (a microchip's country, a
+    // VIN's model year and make)
+    _describeRules(ctx, rules, data) {
+        const currentYear = new Date(this._getTxTime(ctx)).getUTCFullYear();
+        return (rules || []).flatMap(rule => describeRule(rule, data, currentYear));
+    }
+
+    // Identity type registry
+    async RegisterIdentityType(ctx, definitionJson) {
+        await this._requireRole(ctx, ['admin'], 'RegisterIdentityType');
+
+        let definition;
+        try {
+            definition = JSON.parse(definitionJson);
+        } catch (parseError) {
+            throw new Error(`Type definition is not valid JSON: ${parseError.message}`);
+        }
+        const problems = checkTypeDefinition(definition);
+        if (problems.length > 0) {
+            throw new Error(`Invalid type definition: ${problems.join('; ')}`);
+        }
+
+        const key = ctx.stub.createCompositeKey(TYPE_DEFINITION_PREFIX, [definition.name]);
+        const existingBytes = await ctx.stub.getState(key);
+        const existing = existingBytes && existingBytes.length ? JSON.parse(existingBytes.toString()) : null;
+
+        const stored = {
+            name: definition.name,
+            description: definition.description || '',
+            requiredFields: definition.requiredFields || definition.schema.required || [],
+            privateFields: definition.privateFields || [],
+            schema: definition.schema,
+            validationRules: definition.validationRules || [],
+            consistencyRules: definition.consistencyRules || [],
+            version: existing ? (existing.version || 1) + 1 : 1,
+            registeredBy: this._getActor(ctx),
+            registeredAt: this._getTxTime(ctx),
+            transactionId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(stored)));
+
+        ctx.stub.setEvent('IdentityTypeRegistered', Buffer.from(JSON.stringify({
+            name: stored.name,
+            version: stored.version,
+            registeredBy: stored.registeredBy,
+            transactionId: stored.transactionId
+        })));
+
+        return JSON.stringify({ success: true, type: stored });
+    }
+
+    async GetIdentityType(ctx, name) {
+        const definition = await this._getTypeDefinition(ctx, name);
+        if (!definition) {
+            throw new Error(`Identity type ${name} is not registered`);
+        }
+        return JSON.stringify(definition);
+    }
+
+    async ListIdentityTypes(ctx) {
+        const types = await this._listTypeDefinitions(ctx);
+        return JSON.stringify({ types, totalCount: types.length });
+    }
+
+    // Registered definition of a type; ledgers initialized before the registry
+    // existed fall back to the built-in definitions
+    async _getTypeDefinition(ctx, type) {
+        if (!type) return null;
+        const bytes = await ctx.stub.getState(ctx.stub.createCompositeKey(TYPE_DEFINITION_PREFIX, [type]));
+        if (bytes && bytes.length > 0) {
+            return JSON.parse(bytes.toString());
+        }
+        return BUILTIN_IDENTITY_TYPES[type] || null;
+    }
+
+    async _listTypeDefinitions(ctx) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(TYPE_DEFINITION_PREFIX, []);
+        const types = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            types.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return types;
+    }
+
+    // Access control
+    async _requireRole(ctx, allowedRoles, operation, identity) {
+        const roles = await resolveRoles(ctx);
+        if (allowedRoles.some(role => roles.has(role))) return roles;
+        if (identity && this._isSameActor(this._getActor(ctx), identity.owner)) return roles;
+
+        const actor = this._getActor(ctx);
+        const allowed = identity ? [...allowedRoles, 'owner'] : allowedRoles;
+        throw new AccessDeniedError(`${actor.mspId}/${actor.id} needs one of [${allowed.join(', ')}] for ${operation}`);
+    }
+
+    async GetCallerRoles(ctx) {
+        const roles = await resolveRoles(ctx);
+        return JSON.stringify({ actor: this._getActor(ctx), roles: [...roles] });
+    }
+
+    // Grant roles to every member of an MSP, e.g. all of an auditing org's users
+    async SetMspRoles(ctx, mspId, rolesJson) {
+        await this._requireRole(ctx, ['admin'], 'SetMspRoles');
+        const roles = JSON.parse(rolesJson);
+        if (!mspId || !Array.isArray(roles) || !roles.every(role => GRANTABLE_ROLES.includes(role))) {
+            throw new Error(`Roles must be an array drawn from ${GRANTABLE_ROLES.join(', ')}`);
+        }
+
+        const policy = await readAccessPolicy(ctx);
+        policy.mspRoles[mspId] = [...new Set(roles)];
+        policy.updatedBy = this._getActor(ctx);
+        policy.updatedAt = this._getTxTime(ctx);
+        await ctx.stub.putState(ACCESS_POLICY_KEY, Buffer.from(JSON.stringify(policy)));
+
+        ctx.stub.setEvent('AccessPolicyUpdated', Buffer.from(JSON.stringify({ mspId, roles: policy.mspRoles[mspId], updatedBy: policy.updatedBy })));
+        return JSON.stringify(policy);
+    }
+
+    // SHA-256 over the stored JSON of a record, used to chain versions together
+    _hashRecord(record) {
+        return crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex');
+    }
+
+    _nextVersion(existing) {
+        return {
+            version: (existing.version || 1) + 1,
+            previousVersionHash: this._hashRecord(existing)
+        };
+    }
+
+    async ReadIdentity(ctx, identityId) {
+        const identity = await this._getIdentity(ctx, identityId);
+        if (identity) {
+            await this._requireRole(ctx, ['registrar', 'auditor', 'agent', 'admin'], 'ReadIdentity', identity);
+        }
+        return identity;
+    }
+
+    async _getIdentity(ctx, identityId) {
+        const key = await this._resolveIdentityKey(ctx, identityId);
+        if (!key) return null;
+        const bytes = await ctx.stub.getState(key);
+        if (!bytes || !bytes.length) return null;
+        return JSON.parse(bytes.toString());
+    }
+
+    // Composite key of an identity, or its plain key if it predates the migration
+    async _resolveIdentityKey(ctx, identityId) {
+        const typeBytes = await ctx.stub.getState(ctx.stub.createCompositeKey(IDENTITY_LOOKUP_PREFIX, [identityId]));
+        if (typeBytes && typeBytes.length > 0) {
+            return ctx.stub.createCompositeKey(IDENTITY_KEY_PREFIX, [typeBytes.toString(), identityId]);
+        }
+        const legacyBytes = await ctx.stub.getState(identityId);
+        if (legacyBytes && legacyBytes.length > 0 && this._isIdentityRecord(JSON.parse(legacyBytes.toString()))) {
+            return identityId;
+        }
+        return null;
+    }
+
+    // Writes always go to the composite key; a legacy plain-key copy is removed on first write
+    async _putIdentity(ctx, identity) {
+        identity.docType = 'identity';
+        const key = ctx.stub.createCompositeKey(IDENTITY_KEY_PREFIX, [identity.type, identity.id]);
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(identity)));
+        await ctx.stub.putState(ctx.stub.createCompositeKey(IDENTITY_LOOKUP_PREFIX, [identity.id]), Buffer.from(identity.type));
+
+        const legacyBytes = await ctx.stub.getState(identity.id);
+        if (legacyBytes && legacyBytes.length > 0) {
+            await ctx.stub.deleteState(identity.id);
+        }
+    }
+
+    _isIdentityRecord(obj) {
+        return !!obj && typeof obj === 'object' && !!obj.id && !!obj.type && !!obj.data;
+    }
+
+    // Every committed version of an identity, newest first as returned by the peer.
+    // Versions written before the composite-key migration are appended from the plain key.
+    async GetIdentityHistory(ctx, identityId) {
+        await this._requireRole(ctx, ['auditor', 'registrar', 'admin'], 'GetIdentityHistory', await this._getIdentity(ctx, identityId));
+        const typeBytes = await ctx.stub.getState(ctx.stub.createCompositeKey(IDENTITY_LOOKUP_PREFIX, [identityId]));
+        const keys = typeBytes && typeBytes.length > 0
+            ? [ctx.stub.createCompositeKey(IDENTITY_KEY_PREFIX, [typeBytes.toString(), identityId]), identityId]
+            : [identityId];
+
+        const history = [];
+        for (const key of keys) {
+            const iterator = await ctx.stub.getHistoryForKey(key);
+            let result = await iterator.next();
+            while (!result.done) {
+                const modification = result.value;
+                const record = modification.value && modification.value.length > 0
+                    ? JSON.parse(modification.value.toString())
+                    : null;
+                history.push({
+                    txId: modification.txId,
+                    timestamp: this._toISOTimestamp(modification.timestamp),
+                    isDelete: !!modification.isDelete,
+                    version: record ? record.version || 1 : null,
+                    status: record ? record.status : null,
+                    legacyKey: key === identityId,
+                    record
+                });
+                result = await iterator.next();
+            }
+            await iterator.close();
+        }
+
+        if (history.length === 0) {
+            throw new Error(`No history found for identity ${identityId}`);
+        }
+
+        return JSON.stringify({ identityId, history, totalVersions: history.length });
+    }
+
+    // Every time written to the ledger or returned from a transaction comes from the
+    // proposal's timestamp, so all endorsing peers produce identical read/write sets.
+    // The block number is only known after ordering and is not available here; clients
+    // resolve it from transactionId (qscc GetBlockByTxID) when needed.
+    _getTxTime(ctx) {
+        return this._toISOTimestamp(ctx.stub.getTxTimestamp());
+    }
+
+    // Normalizes caller-supplied ISO 8601 time so it compares as a string with _getTxTime
+    _parseTimestamp(value, name) {
+        const parsed = Date.parse(value);
+        if (Number.isNaN(parsed)) {
+            throw new Error(`${name} must be an ISO 8601 timestamp, got ${value}`);
+        }
+        return new Date(parsed).toISOString();
+    }
+
+    // Convert a protobuf Timestamp ({ seconds: Long, nanos }) into an ISO string
+    _toISOTimestamp(timestamp) {
+        if (!timestamp) return null;
+        const seconds = typeof timestamp.seconds === 'object' && timestamp.seconds !== null
+            ? (timestamp.seconds.toNumber ? timestamp.seconds.toNumber() : timestamp.seconds.low)
+            : Number(timestamp.seconds);
+        return new Date(seconds * 1000 + Math.floor((timestamp.nanos || 0) / 1e6)).toISOString();
+    }
+
+    // Without pageSize the full set is returned; with it, one page plus the bookmark for the next
+    async GetAllIdentities(ctx, pageSize, bookmark) {
+        await this._requireRole(ctx, LISTING_ROLES, 'GetAllIdentities');
+        if (pageSize) {
+            return this._getIdentitiesPage(ctx, [], pageSize, bookmark);
+        }
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(IDENTITY_KEY_PREFIX, []);
+        const identities = await this._collectIdentities(iterator);
+        return JSON.stringify({ identities, totalCount: identities.length, timestamp: this._getTxTime(ctx) });
+    }
+
+    async GetIdentitiesByType(ctx, type, pageSize, bookmark) {
+        await this._requireRole(ctx, LISTING_ROLES, 'GetIdentitiesByType');
+        if (!type) {
+            throw new Error('Identity type is required');
+        }
+        if (pageSize) {
+            return this._getIdentitiesPage(ctx, [type], pageSize, bookmark);
+        }
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(IDENTITY_KEY_PREFIX, [type]);
+        const identities = await this._collectIdentities(iterator);
+        return JSON.stringify({ type, identities, totalCount: identities.length, timestamp: this._getTxTime(ctx) });
+    }
+
+    async _getIdentitiesPage(ctx, attributes, pageSize, bookmark) {
+        const size = this._parsePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            IDENTITY_KEY_PREFIX, attributes, size, bookmark || '');
+        const identities = await this._collectIdentities(iterator);
+        const hasMore = await this._hasMore(metadata, size, () => ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            IDENTITY_KEY_PREFIX, attributes, 1, metadata.bookmark));
+        return JSON.stringify({
+            ...(attributes.length ? { type: attributes[0] } : {}),
+            identities,
+            pageSize: size,
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark,
+            hasMore,
+            timestamp: this._getTxTime(ctx)
+        });
+    }
+
+    // A full page may still be the last one; only a look past its bookmark tells
+    async _hasMore(metadata, size, fetchNext) {
+        if (metadata.fetchedRecordsCount < size) return false;
+        const next = await fetchNext();
+        await next.iterator.close();
+        return next.metadata.fetchedRecordsCount > 0;
+    }
+
+    _parsePageSize(pageSize) {
+        const size = parseInt(pageSize, 10);
+        if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+            throw new Error(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        return size;
+    }
+
+    // CouchDB rich query over identities. The selector is checked against a whitelist
+    // of fields and operators before it reaches the state database.
+    async QueryIdentities(ctx, selectorJson, pageSize, bookmark) {
+        await this._requireRole(ctx, LISTING_ROLES, 'QueryIdentities');
+        let selector;
+        try {
+            selector = JSON.parse(selectorJson);
+        } catch (parseError) {
+            throw new Error(`Selector is not valid JSON: ${parseError.message}`);
+        }
+        this._assertSafeSelector(selector);
+
+        const queryString = JSON.stringify({ selector: { docType: 'identity', ...selector } });
+        if (pageSize) {
+            const size = this._parsePageSize(pageSize);
+            const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(queryString, size, bookmark || '');
+            const identities = await this._collectIdentities(iterator);
+            const hasMore = await this._hasMore(metadata, size, () => ctx.stub.getQueryResultWithPagination(queryString, 1, metadata.bookmark));
+            return JSON.stringify({
+                selector,
+                identities,
+                pageSize: size,
+                fetchedRecordsCount: metadata.fetchedRecordsCount,
+                bookmark: metadata.bookmark,
+                hasMore,
+                timestamp: this._getTxTime(ctx)
+            });
+        }
+
+        const iterator = await ctx.stub.getQueryResult(queryString);
+        const identities = await this._collectIdentities(iterator);
+        return JSON.stringify({ selector, identities, totalCount: identities.length, timestamp: this._getTxTime(ctx) });
+    }
+
+    _assertSafeSelector(selector, depth = 0, counter = { clauses: 0 }) {
+        if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+            throw new Error('Selector must be a JSON object');
+        }
+        if (depth > 2) {
+            throw new Error('Selector is nested too deeply');
+        }
+        for (const [field, condition] of Object.entries(selector)) {
+            if (++counter.clauses > MAX_QUERY_CLAUSES) {
+                throw new Error(`Selector may contain at most ${MAX_QUERY_CLAUSES} clauses`);
+            }
+            if (QUERY_COMBINATORS.includes(field)) {
+                if (!Array.isArray(condition) || condition.length === 0) {
+                    throw new Error(`${field} expects a non-empty array of selectors`);
+                }
+                condition.forEach(subSelector => this._assertSafeSelector(subSelector, depth + 1, counter));
+                continue;
+            }
+            if (!QUERYABLE_FIELDS.includes(field)) {
+                throw new Error(`Field ${field} is not queryable. Allowed fields: ${QUERYABLE_FIELDS.join(', ')}`);
+            }
+            if (this._isQueryValue(condition)) continue;
+            if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+                throw new Error(`Invalid condition for ${field}`);
+            }
+            for (const [operator, value] of Object.entries(condition)) {
+                if (!QUERY_OPERATORS.includes(operator)) {
+                    throw new Error(`Operator ${operator} is not allowed. Allowed operators: ${QUERY_OPERATORS.join(', ')}`);
+                }
+                const valid = operator === '$in'
+                    ? Array.isArray(value) && value.length <= 50 && value.every(item => this._isQueryValue(item))
+                    : this._isQueryValue(value);
+                if (!valid) {
+                    throw new Error(`Invalid value for ${field} ${operator}`);
+                }
+            }
+        }
+    }
+
+    _isQueryValue(value) {
+        return ['string', 'number', 'boolean'].includes(typeof value);
+    }
+
+    async _collectIdentities(iterator) {
+        const identities = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            if (result.value && result.value.value.length > 0) {
+                identities.push(JSON.parse(result.value.value.toString()));
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return identities;
+    }
+
+    // Move identities stored under plain keys (before composite keys were introduced)
+    // to identity~type~id. Run repeatedly with a limit to keep each transaction small.
+    async MigrateIdentityKeys(ctx, limit) {
+        await this._requireRole(ctx, ['admin'], 'MigrateIdentityKeys');
+        const maxRecords = parseInt(limit, 10) || 100;
+        const iterator = await ctx.stub.getStateByRange('', '');
+        const legacy = [];
+        let result = await iterator.next();
+        while (!result.done && legacy.length < maxRecords) {
+            if (result.value && result.value.value.length > 0) {
+                let obj = null;
+                try {
+                    obj = JSON.parse(result.value.value.toString());
+                } catch (parseError) {
+                    obj = null;
+                }
+                if (this._isIdentityRecord(obj)) legacy.push(obj);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        for (const identity of legacy) {
+            await this._putIdentity(ctx, identity);
+        }
+
+        ctx.stub.setEvent('IdentityKeysMigrated', Buffer.from(JSON.stringify({
+            migrated: legacy.map(identity => identity.id),
+            transactionId: ctx.stub.getTxID()
+        })));
+
+        return JSON.stringify({ migratedCount: legacy.length, migrated: legacy.map(identity => identity.id), limit: maxRecords });
+    }
+
+    // One key per change. No transaction changes an identity twice in the same
+    // way, so day, transaction, identity and operation are unique without a
+    // counter. Deltas are never read back during a submit, so they add nothing
+    // to the read set.
+    async _recordStats(ctx, identity, operation, statusChanges) {
+        const timestamp = this._getTxTime(ctx);
+        const delta = {
+            docType: 'statsDelta',
+            day: timestamp.slice(0, 10),
+            type: identity.type,
+            identityId: identity.id,
+            operation,
+            statusChanges: statusChanges || {},
+            timestamp,
+            transactionId: ctx.stub.getTxID()
+        };
+        const key = ctx.stub.createCompositeKey(STATS_DELTA_PREFIX, [delta.day, delta.transactionId, identity.id, operation]);
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(delta)));
+    }
+
+    // One baseline record per type for identities registered before the deltas,
+    // which CONTRACT_INFO counted without a type or status
+    async _recordStatsBaseline(ctx, identities) {
+        const byType = new Map();
+        for (const identity of identities) {
+            const baseline = byType.get(identity.type) || {
+                docType: 'statsBaseline',
+                type: identity.type,
+                identityCount: 0,
+                statusCounts: {},
+                timestamp: this._getTxTime(ctx),
+                transactionId: ctx.stub.getTxID()
+            };
+            const status = identity.status || 'active';
+            baseline.identityCount++;
+            baseline.statusCounts[status] = (baseline.statusCounts[status] || 0) + 1;
+            byType.set(identity.type, baseline);
+        }
+        for (const baseline of byType.values()) {
+            const key = ctx.stub.createCompositeKey(STATS_BASELINE_PREFIX, [baseline.transactionId, baseline.type]);
+            await ctx.stub.putState(key, Buffer.from(JSON.stringify(baseline)));
+        }
+    }
+
+    // Counts up to `limit` identities registered before the stats deltas into the
+    // baseline and marks them counted. Run after MigrateIdentityKeys, repeatedly
+    // until nothing remains; identities already counted are skipped.
+    async MigrateContractStats(ctx, limit) {
+        await this._requireRole(ctx, ['admin'], 'MigrateContractStats');
+        const maxRecords = parseInt(limit, 10) || 100;
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(IDENTITY_KEY_PREFIX, []);
+        const uncounted = [];
+        let remaining = false;
+        let result = await iterator.next();
+        while (!result.done) {
+            const identity = JSON.parse(result.value.value.toString());
+            if (!identity.statsCounted) {
+                if (uncounted.length === maxRecords) {
+                    remaining = true;
+                    break;
+                }
+                uncounted.push(identity);
+            }
+            result = await iterator.next();
+        }
+        await iterator.close();
+
+        for (const identity of uncounted) {
+            await this._putIdentity(ctx, { ...identity, statsCounted: true });
+        }
+        await this._recordStatsBaseline(ctx, uncounted);
+
+        ctx.stub.setEvent('ContractStatsMigrated', Buffer.from(JSON.stringify({
+            counted: uncounted.map(identity => identity.id),
+            transactionId: ctx.stub.getTxID()
+        })));
+        return JSON.stringify({ countedCount: uncounted.length, counted: uncounted.map(identity => identity.id), remaining, limit: maxRecords });
+    }
+
+    async _readStatsEntries(ctx, prefix) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(prefix, []);
+        const entries = [];
+        let result = await iterator.next();
+        while (!result.done) {
+            entries.push(JSON.parse(result.value.value.toString()));
+            result = await iterator.next();
+        }
+        await iterator.close();
+        return entries;
+    }
+
+    // Folds up to `limit` deltas of days before `beforeDay` (default: today) into
+    // statsRollup~day~type records and deletes them. Today's deltas are never
+    // touched, so registrations running meanwhile do not conflict with it.
+    async CompactContractStats(ctx, beforeDay, limit) {
+        await this._requireRole(ctx, ['admin'], 'CompactContractStats');
+        const today = this._getTxTime(ctx).slice(0, 10);
+        const cutoff = beforeDay || today;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(cutoff) || cutoff > today) {
+            throw new Error(`beforeDay must be a date (YYYY-MM-DD) no later than ${today}`);
+        }
+        const maxDeltas = parseInt(limit, 10) || 1000;
+
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(STATS_DELTA_PREFIX, []);
+        const compacted = [];
+        let result = await iterator.next();
+        while (!result.done && compacted.length < maxDeltas) {
+            const delta = JSON.parse(result.value.value.toString());
+            if (delta.day >= cutoff) break;
+            compacted.push({ key: result.value.key, delta });
+            result = await iterator.next();
+        }
+        const remaining = !result.done && JSON.parse(result.value.value.toString()).day < cutoff;
+        await iterator.close();
+
+        const rollups = new Map();
+        for (const { key, delta } of compacted) {
+            const rollupKey = ctx.stub.createCompositeKey(STATS_ROLLUP_PREFIX, [delta.day, delta.type]);
+            if (!rollups.has(rollupKey)) {
+                const bytes = await ctx.stub.getState(rollupKey);
+                rollups.set(rollupKey, bytes && bytes.length > 0 ? JSON.parse(bytes.toString()) : null);
+            }
+            rollups.set(rollupKey, rollUp(rollups.get(rollupKey), delta));
+            await ctx.stub.deleteState(key);
+        }
+        for (const [rollupKey, rollup] of rollups) {
+            await ctx.stub.putState(rollupKey, Buffer.from(JSON.stringify(rollup)));
+        }
+
+        ctx.stub.setEvent('ContractStatsCompacted', Buffer.from(JSON.stringify({
+            beforeDay: cutoff,
+            compactedCount: compacted.length,
+            rollupCount: rollups.size,
+            transactionId: ctx.stub.getTxID()
+        })));
+        return JSON.stringify({ beforeDay: cutoff, compactedCount: compacted.length, rollupCount: rollups.size, remaining, limit: maxDeltas });
+    }
+
+    // Totals by type and status and daily registrations, updates, revocations etc.,
+    // summed from the rollups and the deltas written since. Counters an older
+    // version kept in CONTRACT_INFO seed the totals, and the baseline records the
+    // types and statuses of the identities it registered. Meant for evaluation, not
+    // submission: the range reads would conflict with every concurrent write.
+    async GetContractInfo(ctx) {
+        const infoBytes = await ctx.stub.getState('CONTRACT_INFO');
+        if (!infoBytes || !infoBytes.length) {
+            return JSON.stringify({ contractVersion: '1.0.0', totalIdentities: 0, status: 'Not initialized' });
+        }
+        const info = JSON.parse(infoBytes.toString());
+        const entries = [
+            ...await this._readStatsEntries(ctx, STATS_ROLLUP_PREFIX),
+            ...await this._readStatsEntries(ctx, STATS_DELTA_PREFIX)
+        ];
+        const baseline = legacyBaseline(info, await this._readStatsEntries(ctx, STATS_BASELINE_PREFIX));
+        const stats = aggregateStats(entries, baseline);
+
+        return JSON.stringify({
+            contractVersion: info.contractVersion,
+            timestamp: info.timestamp,
+            supportedTypes: (await this._listTypeDefinitions(ctx)).map(definition => definition.name),
+            // Rejected registrations never became identities
+            totalIdentities: stats.totals.registrations - stats.totals.rejections,
+            ...stats
+        });
     }
 }
 
+module.exports = IdentityContract;
 module.exports.contracts = [IdentityContract];
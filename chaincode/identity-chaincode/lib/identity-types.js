@@ -0,0 +1,165 @@
+'use strict';
+
+const { findUnsupportedKeywords } = require('./json-schema-validator');
+const { decodeMicrochip, describeMicrochip } = require('./microchip');
+const { decodeVin, crossCheckVin } = require('./vin');
+
+// Copies of device-model/*-identity-schema.json; the test suite keeps them in sync
+const vehicleSchema = require('./schemas/vehicle-identity-schema.json');
+const petSchema = require('./schemas/pet-identity-schema.json');
+const iotSchema = require('./schemas/iot-identity-schema.json');
+
+// Built-in identity type definitions. InitLedger seeds these into the type
+// registry; further types (drone, e-bike, ...) are added with RegisterIdentityType.
+//
+// `schema` validates the identity's data block in ValidateIdentityData.
+// validationRules cover what JSON Schema cannot express (e.g. a model year
+// relative to today) and also run there; consistencyRules run in
+// CheckCrossDomainConsistency. String rules (length, minLength, pattern, prefix,
+// iso11784, vin) fail when the field is missing; numeric rules only apply to
+// present values. iso11784 decodes an animal transponder code (microchip.js);
+// vin verifies the check digit and reports the decoded year and make (vin.js).
+// privateFields name the PII kept in the private data collection instead of
+// the public data block (see private-details.js).
+const BUILTIN_IDENTITY_TYPES = {
+    vehicle: {
+        name: 'vehicle',
+        description: 'Road vehicle identified by its VIN',
+        requiredFields: vehicleSchema.required,
+        privateFields: ['owner', 'ownerContact'],
+        schema: vehicleSchema,
+        validationRules: [
+            { field: 'year', rule: 'maxYearsAhead', value: 1, message: 'Invalid year' }
+        ],
+        consistencyRules: [
+            { field: 'vin', rule: 'vin', message: 'VIN format violates standards' }
+        ]
+    },
+    pet: {
+        name: 'pet',
+        description: 'Companion animal identified by its ISO microchip',
+        requiredFields: petSchema.required,
+        privateFields: ['owner', 'ownerContact'],
+        schema: petSchema,
+        validationRules: [
+            { field: 'microchipId', rule: 'iso11784', message: 'Microchip ID does not follow ISO 11784 format' }
+        ],
+        consistencyRules: [
+            { field: 'microchipId', rule: 'iso11784', message: 'Microchip ID does not follow ISO 11784 format' }
+        ]
+    },
+    iot: {
+        name: 'iot',
+        description: 'Connected device identified by its serial number',
+        requiredFields: iotSchema.required,
+        privateFields: ['installer', 'installerContact'],
+        schema: iotSchema,
+        validationRules: [],
+        consistencyRules: []
+    }
+};
+
+const STRING_RULES = ['length', 'minLength', 'pattern', 'prefix', 'iso11784', 'vin'];
+// Rules that decode the value instead of comparing it with `value`
+const DECODING_RULES = ['iso11784', 'vin'];
+const NUMERIC_RULES = ['minimum', 'maximum', 'maxYearsAhead'];
+const RULE_KINDS = [...STRING_RULES, ...NUMERIC_RULES];
+
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+
+// Returns true when `value` satisfies the rule
+function evaluateRule(rule, value, currentYear) {
+    if (value === undefined || value === null) {
+        return !STRING_RULES.includes(rule.rule);
+    }
+    switch (rule.rule) {
+        case 'length': return String(value).length === rule.value;
+        case 'minLength': return String(value).length >= rule.value;
+        case 'pattern': return new RegExp(rule.value).test(String(value));
+        case 'prefix': return String(value).startsWith(rule.value);
+        case 'iso11784': return decodeMicrochip(value).valid;
+        case 'vin': return decodeVin(value).valid;
+        case 'minimum': return !(value < rule.value);
+        case 'maximum': return !(value > rule.value);
+        case 'maxYearsAhead': return !(value > currentYear + rule.value);
+        default: return false;
+    }
+}
+
+// Why a decoding rule rejected `value`; null for rules that only compare
+function explainRuleFailure(rule, value) {
+    if (rule.rule === 'iso11784') return decodeMicrochip(value).reason || null;
+    if (rule.rule === 'vin') return decodeVin(value).reason || null;
+    return null;
+}
+
+// Trace lines for a decoding rule that passed: what the value decodes to and,
+// for VINs, how that compares with the rest of `data`
+function describeRule(rule, data, currentYear) {
+    const value = data[rule.field];
+    if (rule.rule === 'iso11784') {
+        return [`✅ ${describeMicrochip(decodeMicrochip(value))}`];
+    }
+    if (rule.rule === 'vin') {
+        return crossCheckVin(decodeVin(value), data, currentYear);
+    }
+    return [];
+}
+
+// Structural check of a type definition submitted to RegisterIdentityType.
+// Returns a list of problems; empty when the definition is usable.
+function checkTypeDefinition(definition) {
+    const problems = [];
+    if (!definition || typeof definition !== 'object') {
+        return ['Type definition must be a JSON object'];
+    }
+    if (!TYPE_NAME_PATTERN.test(definition.name || '')) {
+        problems.push('name must be 2-32 lowercase letters, digits or dashes, starting with a letter');
+    }
+    for (const listName of ['requiredFields', 'privateFields']) {
+        const fields = definition[listName];
+        if (fields !== undefined && (!Array.isArray(fields) || !fields.every(field => typeof field === 'string' && field))) {
+            problems.push(`${listName} must be an array of field names`);
+        }
+    }
+    if (!definition.schema || typeof definition.schema !== 'object' || definition.schema.type !== 'object') {
+        problems.push('schema must be a JSON Schema describing an object');
+    } else {
+        const unsupported = findUnsupportedKeywords(definition.schema);
+        if (unsupported.length > 0) {
+            problems.push(`schema uses keywords the chaincode validator does not support: ${unsupported.join(', ')}`);
+        }
+    }
+    for (const listName of ['validationRules', 'consistencyRules']) {
+        const rules = definition[listName] || [];
+        if (!Array.isArray(rules)) {
+            problems.push(`${listName} must be an array`);
+            continue;
+        }
+        rules.forEach((rule, index) => {
+            if (!rule || typeof rule.field !== 'string' || !RULE_KINDS.includes(rule.rule)) {
+                problems.push(`${listName}[${index}] needs a field and a rule (${RULE_KINDS.join(', ')})`);
+                return;
+            }
+            if (DECODING_RULES.includes(rule.rule)) {
+                return;
+            }
+            if (rule.rule === 'pattern' || rule.rule === 'prefix') {
+                if (typeof rule.value !== 'string') {
+                    problems.push(`${listName}[${index}].value must be a string`);
+                } else if (rule.rule === 'pattern') {
+                    try {
+                        new RegExp(rule.value);
+                    } catch (error) {
+                        problems.push(`${listName}[${index}].value is not a valid pattern`);
+                    }
+                }
+            } else if (typeof rule.value !== 'number') {
+                problems.push(`${listName}[${index}].value must be a number`);
+            }
+        });
+    }
+    return problems;
+}
+
+module.exports = { BUILTIN_IDENTITY_TYPES, RULE_KINDS, evaluateRule, explainRuleFailure, describeRule, checkTypeDefinition };
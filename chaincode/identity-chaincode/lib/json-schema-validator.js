@@ -0,0 +1,184 @@
+'use strict';
+
+// Deterministic validator for the subset of JSON Schema draft-07 used by the
+// identity type schemas. Errors mirror Ajv's shape (instancePath, schemaPath,
+// keyword, params, message) so they read the same as device-model/validate-all.js.
+// `errorMessage` (the ajv-errors convention) replaces the message of any error
+// raised by the subschema that declares it.
+
+const ANNOTATION_KEYWORDS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'errorMessage'];
+const VALIDATION_KEYWORDS = [
+    'type', 'enum', 'const', 'required', 'properties', 'additionalProperties',
+    'minLength', 'maxLength', 'pattern', 'format',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+    'items', 'minItems', 'maxItems', 'uniqueItems'
+];
+
+// RFC 3339 date-time, as checked by ajv-formats
+const FORMATS = {
+    'date-time': /^\d{4}-\d{2}-\d{2}[Tt]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uri: /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeOf(value) === type;
+    }
+}
+
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function validateNode(schema, value, instancePath, schemaPath, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push({ instancePath, schemaPath, keyword: 'false schema', params: {}, message: 'boolean schema is false' });
+        return;
+    }
+
+    const nodeErrors = [];
+    const fail = (keyword, params, message, path = instancePath) => {
+        nodeErrors.push({ instancePath: path, schemaPath: `${schemaPath}/${keyword}`, keyword, params, message });
+    };
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail('type', { type: schema.type }, `must be ${types.join(',')}`);
+            errors.push(...applyErrorMessage(schema, nodeErrors));
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        fail('const', { allowedValue: schema.const }, 'must be equal to constant');
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        fail('enum', { allowedValues: schema.enum }, 'must be equal to one of the allowed values');
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('minLength', { limit: schema.minLength }, `must NOT have fewer than ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail('maxLength', { limit: schema.maxLength }, `must NOT have more than ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail('pattern', { pattern: schema.pattern }, `must match pattern "${schema.pattern}"`);
+        }
+        if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            fail('format', { format: schema.format }, `must match format "${schema.format}"`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail('minimum', { comparison: '>=', limit: schema.minimum }, `must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail('maximum', { comparison: '<=', limit: schema.maximum }, `must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail('exclusiveMinimum', { comparison: '>', limit: schema.exclusiveMinimum }, `must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            fail('exclusiveMaximum', { comparison: '<', limit: schema.exclusiveMaximum }, `must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+            fail('multipleOf', { multipleOf: schema.multipleOf }, `must be multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('minItems', { limit: schema.minItems }, `must NOT have fewer than ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail('maxItems', { limit: schema.maxItems }, `must NOT have more than ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems === true) {
+            const seen = value.map(item => JSON.stringify(item));
+            const duplicate = seen.findIndex((item, index) => seen.indexOf(item) !== index);
+            if (duplicate !== -1) {
+                fail('uniqueItems', { i: duplicate, j: seen.indexOf(seen[duplicate]) }, 'must NOT have duplicate items');
+            }
+        }
+        if (schema.items !== undefined && !Array.isArray(schema.items)) {
+            value.forEach((item, index) => {
+                validateNode(schema.items, item, `${instancePath}/${index}`, `${schemaPath}/items`, nodeErrors);
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const property of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, property)) {
+                fail('required', { missingProperty: property }, `must have required property '${property}'`);
+            }
+        }
+        const properties = schema.properties || {};
+        // Sorted so the error order never depends on the submitter's key order
+        for (const property of Object.keys(value).sort()) {
+            const childPath = `${instancePath}/${escapePointer(property)}`;
+            if (Object.prototype.hasOwnProperty.call(properties, property)) {
+                validateNode(properties[property], value[property], childPath, `${schemaPath}/properties/${escapePointer(property)}`, nodeErrors);
+            } else if (schema.additionalProperties === false) {
+                fail('additionalProperties', { additionalProperty: property }, 'must NOT have additional properties');
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateNode(schema.additionalProperties, value[property], childPath, `${schemaPath}/additionalProperties`, nodeErrors);
+            }
+        }
+    }
+
+    errors.push(...applyErrorMessage(schema, nodeErrors));
+}
+
+function applyErrorMessage(schema, nodeErrors) {
+    if (typeof schema.errorMessage !== 'string' || nodeErrors.length === 0) return nodeErrors;
+    return nodeErrors.map(error => ({ ...error, message: schema.errorMessage }));
+}
+
+// Validate `value` against `schema`; instancePath of every error starts with basePath
+function validateAgainstSchema(schema, value, basePath = '') {
+    const errors = [];
+    validateNode(schema, value, basePath, '#', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+// Keywords a schema uses that this validator does not implement. Registering such
+// a schema would silently skip those checks, so the type registry rejects it.
+function findUnsupportedKeywords(schema, path = '#', found = []) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return found;
+    for (const [keyword, subschema] of Object.entries(schema)) {
+        if (!ANNOTATION_KEYWORDS.includes(keyword) && !VALIDATION_KEYWORDS.includes(keyword)) {
+            found.push(`${path}/${keyword}`);
+            continue;
+        }
+        if (keyword === 'properties') {
+            Object.entries(subschema || {}).forEach(([name, child]) => findUnsupportedKeywords(child, `${path}/properties/${name}`, found));
+        } else if (keyword === 'items' || keyword === 'additionalProperties') {
+            if (Array.isArray(subschema)) {
+                found.push(`${path}/${keyword}`);
+            } else {
+                findUnsupportedKeywords(subschema, `${path}/${keyword}`, found);
+            }
+        } else if (keyword === 'format' && !FORMATS[subschema]) {
+            found.push(`${path}/format (${subschema})`);
+        }
+    }
+    return found;
+}
+
+module.exports = { validateAgainstSchema, findUnsupportedKeywords };
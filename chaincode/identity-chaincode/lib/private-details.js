@@ -0,0 +1,71 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Owner PII (names, contact details) lives in a private data collection, see
+// collections_config.json. Clients pass it in the transient map so it never
+// appears in the transaction proposal recorded in the block; the public record
+// keeps only a salted hash that holders of the private data can check against.
+const PRIVATE_DETAILS_COLLECTION = 'identityPrivateDetails';
+const PRIVATE_DETAILS_TRANSIENT_KEY = 'privateDetails';
+
+// Without a salt, short values such as names could be recovered from the
+// public hash by trying candidates
+const MIN_SALT_LENGTH = 16;
+
+// Private fields submitted in the public data block
+function findInlinePrivateFields(data, privateFields) {
+    return (privateFields || []).filter(field => data && Object.prototype.hasOwnProperty.call(data, field));
+}
+
+// Parsed JSON of the transient privateDetails entry; null when absent
+function readTransientPayload(ctx) {
+    const transient = typeof ctx.stub.getTransient === 'function' ? ctx.stub.getTransient() : null;
+    if (!transient || !transient.has(PRIVATE_DETAILS_TRANSIENT_KEY)) return null;
+
+    try {
+        return JSON.parse(Buffer.from(transient.get(PRIVATE_DETAILS_TRANSIENT_KEY)).toString());
+    } catch (parseError) {
+        throw new Error(`Transient ${PRIVATE_DETAILS_TRANSIENT_KEY} is not valid JSON: ${parseError.message}`);
+    }
+}
+
+// Splits `{ <private fields>..., salt }` into fields and salt, rejecting
+// fields the type does not keep private
+function checkPrivateDetails(payload, privateFields) {
+    const { salt, ...fields } = payload || {};
+    if (typeof salt !== 'string' || salt.length < MIN_SALT_LENGTH) {
+        throw new Error(`Transient ${PRIVATE_DETAILS_TRANSIENT_KEY} needs a salt of at least ${MIN_SALT_LENGTH} characters`);
+    }
+    const unexpected = Object.keys(fields).filter(field => !(privateFields || []).includes(field));
+    if (unexpected.length > 0) {
+        throw new Error(`Fields ${unexpected.join(', ')} are not private for this identity type`);
+    }
+    return { fields, salt };
+}
+
+// Reads `{ <private fields>..., salt }` from the transient map; null when absent
+function readTransientPrivateDetails(ctx, privateFields) {
+    const payload = readTransientPayload(ctx);
+    return payload === null ? null : checkPrivateDetails(payload, privateFields);
+}
+
+// Key order is normalized so the same details always hash the same
+function hashPrivateDetails(fields, salt) {
+    const canonical = JSON.stringify(Object.keys(fields).sort().reduce((sorted, key) => {
+        sorted[key] = fields[key];
+        return sorted;
+    }, {}));
+    return crypto.createHash('sha256').update(salt).update(canonical).digest('hex');
+}
+
+module.exports = {
+    PRIVATE_DETAILS_COLLECTION,
+    PRIVATE_DETAILS_TRANSIENT_KEY,
+    MIN_SALT_LENGTH,
+    findInlinePrivateFields,
+    readTransientPayload,
+    checkPrivateDetails,
+    readTransientPrivateDetails,
+    hashPrivateDetails
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+// Contract statistics without a shared counter key. Every change to an identity
+// writes its own delta under statsDelta~day~tx~id~operation, so concurrent
+// transactions never read or write the same key and cannot fail MVCC validation
+// on stats. GetContractInfo sums the deltas when it is queried;
+// CompactContractStats folds the deltas of past days into one rollup per day and
+// type so that sum stays bounded.
+const STATS_DELTA_PREFIX = 'statsDelta~day~tx~id~operation';
+const STATS_ROLLUP_PREFIX = 'statsRollup~day~type';
+// Identities registered before the deltas, counted by type and status when
+// MigrateContractStats or their first status change reaches them
+const STATS_BASELINE_PREFIX = 'statsBaseline~tx~type';
+
+// Operation recorded with a delta -> the counter it adds one to. Lifecycle
+// transitions are recorded under their target status.
+const STATS_COUNTERS = {
+    registration: 'registrations',
+    update: 'updates',
+    transfer: 'transfers',
+    approved: 'approvals',
+    rejected: 'rejections',
+    suspended: 'suspensions',
+    active: 'reinstatements',
+    revoked: 'revocations',
+    expired: 'expirations'
+};
+
+// Counters kept in CONTRACT_INFO before stats moved to deltas. They carry no
+// type, status or day, so they only seed the totals; the baseline records
+// supply the types and statuses of the identities they counted.
+const LEGACY_COUNTERS = {
+    totalIdentities: 'registrations',
+    totalUpdates: 'updates',
+    totalSuspensions: 'suspensions',
+    totalReinstatements: 'reinstatements',
+    totalRevocations: 'revocations',
+    totalExpirations: 'expirations',
+    totalTransfers: 'transfers'
+};
+
+function emptyCounters() {
+    const counters = {};
+    for (const counter of Object.values(STATS_COUNTERS)) {
+        counters[counter] = 0;
+    }
+    return counters;
+}
+
+// A rollup carries its counts; a delta counts one of its operation
+function countsOf(entry) {
+    if (entry.counts) return entry.counts;
+    const counter = STATS_COUNTERS[entry.operation];
+    return counter ? { [counter]: 1 } : {};
+}
+
+function addCounts(target, counts) {
+    for (const [counter, count] of Object.entries(counts)) {
+        target[counter] = (target[counter] || 0) + count;
+    }
+}
+
+function addStatusChanges(byStatus, statusChanges) {
+    for (const [status, change] of Object.entries(statusChanges || {})) {
+        byStatus[status] = (byStatus[status] || 0) + change;
+        if (byStatus[status] === 0) {
+            delete byStatus[status];
+        }
+    }
+}
+
+// Starting point for the deltas: the legacy totals, and the registrations and
+// statuses of the pre-delta identities counted so far, overall and by type
+function legacyBaseline(contractInfo, baselineEntries = []) {
+    const totals = {};
+    for (const [field, counter] of Object.entries(LEGACY_COUNTERS)) {
+        if (Number.isInteger(contractInfo[field])) {
+            totals[counter] = contractInfo[field];
+        }
+    }
+    const byType = {};
+    const byStatus = {};
+    for (const entry of baselineEntries) {
+        const type = byType[entry.type] = byType[entry.type] || { registrations: 0, byStatus: {} };
+        type.registrations += entry.identityCount;
+        addStatusChanges(type.byStatus, entry.statusCounts);
+        addStatusChanges(byStatus, entry.statusCounts);
+    }
+    return { totals, byType, byStatus };
+}
+
+// Adds a delta (or another rollup of the same day and type) to a rollup
+function rollUp(rollup, entry) {
+    const merged = {
+        docType: 'statsRollup',
+        day: entry.day,
+        type: entry.type,
+        counts: { ...(rollup ? rollup.counts : {}) },
+        statusChanges: { ...(rollup ? rollup.statusChanges : {}) },
+        timestamp: rollup && rollup.timestamp > entry.timestamp ? rollup.timestamp : entry.timestamp,
+        deltaCount: (rollup ? rollup.deltaCount : 0) + (entry.deltaCount || 1)
+    };
+    addCounts(merged.counts, countsOf(entry));
+    addStatusChanges(merged.statusChanges, entry.statusChanges);
+    return merged;
+}
+
+// Totals overall and by type, identities per status overall and by type, and
+// the counters of each UTC day with activity, oldest first, on top of a
+// legacyBaseline.
+function aggregateStats(entries, baseline = legacyBaseline({})) {
+    const totals = emptyCounters();
+    addCounts(totals, baseline.totals);
+    const byType = {};
+    for (const [name, seed] of Object.entries(baseline.byType)) {
+        byType[name] = { ...emptyCounters(), registrations: seed.registrations, byStatus: { ...seed.byStatus } };
+    }
+    const byStatus = { ...baseline.byStatus };
+    const days = {};
+    let lastActivity = null;
+
+    for (const entry of entries) {
+        const counts = countsOf(entry);
+        const type = byType[entry.type] = byType[entry.type] || { ...emptyCounters(), byStatus: {} };
+        const day = days[entry.day] = days[entry.day] || { day: entry.day, ...emptyCounters() };
+        addCounts(totals, counts);
+        addCounts(type, counts);
+        addCounts(day, counts);
+        addStatusChanges(type.byStatus, entry.statusChanges);
+        addStatusChanges(byStatus, entry.statusChanges);
+        if (!lastActivity || entry.timestamp > lastActivity) {
+            lastActivity = entry.timestamp;
+        }
+    }
+
+    const activity = Object.keys(days).sort().map(day => days[day]);
+    return { totals, byType, byStatus, activity, lastActivity };
+}
+
+module.exports = {
+    STATS_DELTA_PREFIX,
+    STATS_ROLLUP_PREFIX,
+    STATS_BASELINE_PREFIX,
+    STATS_COUNTERS,
+    legacyBaseline,
+    rollUp,
+    aggregateStats
+};
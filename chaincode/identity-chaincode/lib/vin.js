@@ -0,0 +1,118 @@
+'use strict';
+
+// ISO 3779 / 49 CFR 565 vehicle identification numbers: a 3-character world
+// manufacturer identifier (WMI), a check digit in position 9 and a model-year
+// code in position 10. The dashboard's VINAuthenticator applies the same check
+// digit before submitting; the contract repeats it so direct calls cannot
+// bypass it.
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9, S: 2,
+    T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+// Position 10 repeats every 30 years; I, O, Q, U, Z and 0 are never used
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const YEAR_CODE_BASE = 1980;
+const YEAR_CYCLE = 30;
+
+// First character of the WMI (ISO 3780)
+const REGIONS = [
+    { pattern: /^[A-H]/, name: 'Africa' },
+    { pattern: /^[J-R]/, name: 'Asia' },
+    { pattern: /^[S-Z]/, name: 'Europe' },
+    { pattern: /^[1-5]/, name: 'North America' },
+    { pattern: /^[67]/, name: 'Oceania' },
+    { pattern: /^[890]/, name: 'South America' }
+];
+
+// WMIs of the makes registered most often; unknown WMIs are reported, not rejected
+const WMI_MANUFACTURERS = {
+    '1HG': 'Honda', '2HG': 'Honda', '3HG': 'Honda', 'JHM': 'Honda',
+    '5YJ': 'Tesla', '7SA': 'Tesla', 'LRW': 'Tesla', 'XP7': 'Tesla',
+    'WBA': 'BMW', 'WBS': 'BMW', 'WBY': 'BMW', '5UX': 'BMW',
+    '1FA': 'Ford', '1FM': 'Ford', '1FT': 'Ford', '3FA': 'Ford', 'WF0': 'Ford',
+    '1G1': 'Chevrolet', '1GC': 'Chevrolet', '2G1': 'Chevrolet',
+    'JTD': 'Toyota', 'JT2': 'Toyota', '2T1': 'Toyota', '4T1': 'Toyota',
+    'JN1': 'Nissan', '1N4': 'Nissan', 'JM1': 'Mazda', 'JF1': 'Subaru', '4S3': 'Subaru',
+    'KMH': 'Hyundai', 'KNA': 'Kia',
+    'WVW': 'Volkswagen', 'WV1': 'Volkswagen', 'WV2': 'Volkswagen', '3VW': 'Volkswagen',
+    'WAU': 'Audi', 'WDB': 'Mercedes-Benz', 'WDD': 'Mercedes-Benz', 'W1K': 'Mercedes-Benz', 'WP0': 'Porsche',
+    'VF1': 'Renault', 'VF3': 'Peugeot', 'VF7': 'Citroën', 'ZFA': 'Fiat', 'ZFF': 'Ferrari',
+    'YV1': 'Volvo', 'SAJ': 'Jaguar', 'SAL': 'Land Rover', 'TMB': 'Škoda', 'VSS': 'SEAT'
+};
+
+function computeCheckDigit(vin) {
+    const sum = [...vin].reduce((total, char, index) => {
+        const value = /[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char];
+        return total + value * WEIGHTS[index];
+    }, 0);
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+}
+
+// Decodes a VIN. `valid` is false with a `reason` when the format or check
+// digit is wrong; `modelYears` lists every year the position-10 code can mean.
+function decodeVin(vin) {
+    const value = String(vin === undefined || vin === null ? '' : vin);
+    if (!VIN_PATTERN.test(value)) {
+        return { valid: false, reason: 'expected 17 characters without I, O or Q' };
+    }
+    const checkDigit = computeCheckDigit(value);
+    if (value[8] !== checkDigit) {
+        return { valid: false, reason: `check digit is ${value[8]} but should be ${checkDigit}` };
+    }
+
+    const wmi = value.slice(0, 3);
+    const region = REGIONS.find(entry => entry.pattern.test(wmi));
+    const yearIndex = YEAR_CODES.indexOf(value[9]);
+    const modelYears = yearIndex < 0 ? [] : [YEAR_CODE_BASE + yearIndex, YEAR_CODE_BASE + yearIndex + YEAR_CYCLE];
+    return {
+        valid: true,
+        wmi,
+        manufacturer: WMI_MANUFACTURERS[wmi] || null,
+        region: region ? region.name : null,
+        modelYearCode: value[9],
+        modelYears
+    };
+}
+
+// Makes compare case- and punctuation-insensitively, so "mercedes" matches
+// "Mercedes-Benz"
+function normalizeMake(make) {
+    return String(make).toLowerCase().normalize('NFD').replace(/[^a-z0-9]/g, '');
+}
+
+// Trace lines comparing the decoded VIN with the submitted year and make.
+// Mismatches are reported with ⚠️ and do not fail the check on their own.
+function crossCheckVin(decoded, data, currentYear) {
+    const lines = [];
+    const maker = decoded.manufacturer || `unlisted WMI ${decoded.wmi}`;
+    lines.push(`✅ VIN check digit valid; ${maker}${decoded.region ? `, ${decoded.region}` : ''}`);
+
+    const plausibleYears = decoded.modelYears.filter(year => year <= currentYear + 1);
+    if (data.year !== undefined && data.year !== null) {
+        if (decoded.modelYears.includes(Number(data.year))) {
+            lines.push(`✅ Model year ${data.year} matches VIN code ${decoded.modelYearCode}`);
+        } else {
+            lines.push(`⚠️ Model year ${data.year} does not match VIN code ${decoded.modelYearCode} (${plausibleYears.join(' or ') || 'no plausible year'})`);
+        }
+    } else if (plausibleYears.length > 0) {
+        lines.push(`✅ VIN code ${decoded.modelYearCode} decodes to model year ${plausibleYears.join(' or ')}`);
+    }
+
+    if (decoded.manufacturer && data.make !== undefined && data.make !== null) {
+        const make = normalizeMake(data.make);
+        if (make && normalizeMake(decoded.manufacturer).startsWith(make)) {
+            lines.push(`✅ Make ${data.make} matches WMI ${decoded.wmi}`);
+        } else {
+            lines.push(`⚠️ Make ${data.make} does not match WMI ${decoded.wmi} (${decoded.manufacturer})`);
+        }
+    }
+    return lines;
+}
+
+module.exports = { computeCheckDigit, decodeVin, crossCheckVin };
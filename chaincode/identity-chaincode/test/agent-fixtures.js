@@ -0,0 +1,64 @@
+'use strict';
+
+const { MockClientIdentity } = require('./mock-context');
+
+// Three validators in different orgs. validator-1 carries half the
+// weight, so it and any one other agent reach the 2/3 threshold.
+const validator = (number, mspId, weight) => ({
+    agentId: `validator-${number}`,
+    role: 'validator',
+    metadata: { deviceType: 'validatorNode', manufacturer: 'AcmeCorp' },
+    weight,
+    enrollment: { mspId, id: `x509::/CN=validator-${number}::/CN=ca` }
+});
+const AGENTS = [validator(1, 'Org1MSP', 2), validator(2, 'Org2MSP', 1), validator(3, 'Org3MSP', 1)];
+
+const admin = new MockClientIdentity('Org1MSP', 'x509::/CN=admin::/CN=ca', { role: 'admin' });
+
+function agentIdentity(agentId) {
+    const { enrollment } = AGENTS.find(agent => agent.agentId === agentId);
+    return new MockClientIdentity(enrollment.mspId, enrollment.id);
+}
+
+// Runs fn with ctx submitted by another client, then restores the original caller
+async function asCaller(ctx, clientIdentity, fn) {
+    const previous = ctx.clientIdentity;
+    ctx.clientIdentity = clientIdentity;
+    try {
+        return await fn();
+    } finally {
+        ctx.clientIdentity = previous;
+    }
+}
+
+async function enrollAgents(contract, ctx) {
+    await asCaller(ctx, admin, async () => {
+        for (const agent of AGENTS) {
+            if (!(await contract._getAgent(ctx, agent.agentId))) {
+                await contract.RegisterAgent(ctx, JSON.stringify(agent));
+            }
+        }
+    });
+}
+
+async function castVote(contract, ctx, agentId, identityId, decision, reason) {
+    return JSON.parse(await asCaller(ctx, agentIdentity(agentId),
+        () => contract.CastAgentVote(ctx, identityId, decision, reason)));
+}
+
+// Registers a device agent that signs messages such as maintenance events
+async function registerDevice(contract, ctx, agentId, deviceType) {
+    await asCaller(ctx, admin, () => contract.RegisterAgent(ctx, JSON.stringify({ agentId, role: 'sensor', metadata: { deviceType } })));
+}
+
+// Registers an identity and has enough agents approve it to make it active
+async function registerActive(contract, ctx, identity) {
+    await enrollAgents(contract, ctx);
+    const response = await contract.RegisterIdentity(ctx, JSON.stringify(identity));
+    for (const agentId of ['validator-1', 'validator-2']) {
+        await castVote(contract, ctx, agentId, identity.id, 'approve');
+    }
+    return response;
+}
+
+module.exports = { AGENTS, agentIdentity, asCaller, enrollAgents, castVote, registerActive, registerDevice };
@@ -0,0 +1,108 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const IdentityContract = require('../lib/identity-contract');
+const { createMockContext, MockClientIdentity, asPeer } = require('./mock-context');
+const { enrollAgents, castVote, registerActive } = require('./agent-fixtures');
+
+const RealDate = Date;
+
+// Run fn with the wall clock shifted, as on a peer whose clock has drifted
+async function withClockSkew(offsetMs, fn) {
+    class SkewedDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length ? args : [RealDate.now() + offsetMs]));
+        }
+
+        static now() {
+            return RealDate.now() + offsetMs;
+        }
+    }
+    global.Date = SkewedDate;
+    try {
+        return await fn();
+    } finally {
+        global.Date = RealDate;
+    }
+}
+
+// Simulate two peers endorsing the same proposal: both start from the same world
+// state and see the same tx id and timestamp, but their local clocks differ.
+async function endorseTwice(setup, invoke) {
+    const endorsements = [];
+    for (const offsetMs of [0, 90 * 60 * 1000]) {
+        const ctx = createMockContext(undefined, new MockClientIdentity('Org1MSP', 'registrar', { role: 'admin' }));
+        await setup(ctx);
+        ctx.stub.writes = [];
+        ctx.stub.events = [];
+        ctx.stub.txId = 'tx-endorse';
+        ctx.stub.txSeconds = 1767225600; // 2026-01-01T00:00:00Z
+
+        const response = await withClockSkew(offsetMs, () => invoke(ctx));
+        endorsements.push({ response, writes: ctx.stub.writes, events: ctx.stub.events });
+    }
+    return endorsements;
+}
+
+describe('IdentityContract - Endorsement Determinism', () => {
+    const contract = asPeer(new IdentityContract());
+    const vehicle = {
+        id: 'VEH-500',
+        type: 'vehicle',
+        data: { vin: '1HGBH41JXMN109186', make: 'Honda', model: 'Civic', year: 2021, mileage: 25000 }
+    };
+    const registerVehicle = async ctx => {
+        await contract.InitLedger(ctx);
+        await registerActive(contract, ctx, vehicle);
+    };
+    const enrollVoters = async ctx => {
+        await contract.InitLedger(ctx);
+        await enrollAgents(contract, ctx);
+    };
+
+    it('should produce identical writes for InitLedger', async () => {
+        const [first, second] = await endorseTwice(async () => {}, ctx => contract.InitLedger(ctx));
+        expect(second).to.deep.equal(first);
+    });
+
+    it('should produce identical writes for RegisterIdentity', async () => {
+        const [first, second] = await endorseTwice(enrollVoters,
+            ctx => contract.RegisterIdentity(ctx, JSON.stringify(vehicle)));
+        expect(first.writes).to.not.be.empty;
+        expect(second).to.deep.equal(first);
+    });
+
+    it('should produce identical writes for UpdateIdentity', async () => {
+        const [first, second] = await endorseTwice(registerVehicle,
+            ctx => contract.UpdateIdentity(ctx, 'VEH-500', JSON.stringify({ data: { mileage: 26000 } })));
+        expect(second).to.deep.equal(first);
+    });
+
+    it('should produce identical writes for lifecycle changes', async () => {
+        const [first, second] = await endorseTwice(registerVehicle,
+            ctx => contract.SuspendIdentity(ctx, 'VEH-500', 'lost_or_stolen'));
+        expect(second).to.deep.equal(first);
+    });
+
+    it('should produce identical writes for agent votes', async () => {
+        const [first, second] = await endorseTwice(async ctx => {
+            ctx.stub.txSeconds = 1767225000; // inside the voting period of the endorsed vote
+            await enrollVoters(ctx);
+            await contract.RegisterIdentity(ctx, JSON.stringify(vehicle));
+            await castVote(contract, ctx, 'validator-1', 'VEH-500', 'approve');
+        }, ctx => castVote(contract, ctx, 'validator-2', 'VEH-500', 'approve'));
+        expect(first.response.tally.outcome).to.equal('approved');
+        expect(second).to.deep.equal(first);
+    });
+
+    it('should stamp records with the transaction time, not a block number', async () => {
+        const [first] = await endorseTwice(enrollVoters,
+            ctx => contract.RegisterIdentity(ctx, JSON.stringify(vehicle)));
+        const record = JSON.parse(first.writes.find(write => write.value.includes('"VEH-500"') && write.value.includes('registrationTime')).value);
+        expect(record.registrationTime).to.equal('2026-01-01T00:00:00.000Z');
+        expect(record.txTimestamp).to.equal('2026-01-01T00:00:00.000Z');
+        expect(record).to.not.have.property('blockNumber');
+    });
+});
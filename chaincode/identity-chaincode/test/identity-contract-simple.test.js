@@ -1,15 +1,36 @@
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const chai = require('chai');
 const expect = chai.expect;
 
 const IdentityContract = require('../lib/identity-contract');
+const { AccessDeniedError } = require('../lib/access-control');
+const { canonicalJson, hashCredential, preferredStatusIndex } = require('../lib/credentials');
+const { validateAgainstSchema } = require('../lib/json-schema-validator');
+const { rotationStatement } = require('../lib/device-auth');
+const { createMockContext, MockClientIdentity, asPeer } = require('./mock-context');
+const { AGENTS, enrollAgents, castVote, registerActive, registerDevice } = require('./agent-fixtures');
+
+const sampleVehicle = {
+    id: 'VEH-100',
+    type: 'vehicle',
+    data: {
+        vin: '1HGBH41JXMN109186',
+        make: 'Honda',
+        model: 'Civic',
+        year: 2021,
+        mileage: 25000
+    }
+};
 
 describe('IdentityContract - Basic Tests', () => {
     let contract;
 
     beforeEach(() => {
-        contract = new IdentityContract();
+        contract = asPeer(new IdentityContract());
     });
 
     describe('Contract Instantiation', () => {
@@ -23,7 +44,7 @@ describe('IdentityContract - Basic Tests', () => {
             expect(contract.ReadIdentity).to.be.a('function');
             expect(contract.GetAllIdentities).to.be.a('function');
             expect(contract.ValidateIdentityData).to.be.a('function');
-            expect(contract.SimulateMultiAgentConsensus).to.be.a('function');
+            expect(contract.CastAgentVote).to.be.a('function');
             expect(contract.ApplyAuthenticationRules).to.be.a('function');
         });
     });
@@ -43,7 +64,8 @@ describe('IdentityContract - Basic Tests', () => {
             };
 
             // Mock context for testing validation logic
-            const mockCtx = null; // We'll pass null since validation doesn't use ctx for basic checks
+            // Validation reads type definitions from the ledger, so it needs a context
+            const mockCtx = createMockContext();
             
             try {
                 const result = await contract.ValidateIdentityData(mockCtx, validVehicleData);
@@ -69,7 +91,7 @@ describe('IdentityContract - Basic Tests', () => {
                 }
             };
 
-            const mockCtx = null;
+            const mockCtx = createMockContext();
             
             try {
                 const result = await contract.ValidateIdentityData(mockCtx, invalidVehicleData);
@@ -92,7 +114,7 @@ describe('IdentityContract - Basic Tests', () => {
                 }
             };
 
-            const mockCtx = null;
+            const mockCtx = createMockContext();
             
             try {
                 const result = await contract.ValidateIdentityData(mockCtx, validPetData);
@@ -114,7 +136,7 @@ describe('IdentityContract - Basic Tests', () => {
                 }
             };
 
-            const mockCtx = null;
+            const mockCtx = createMockContext();
             
             try {
                 const result = await contract.ValidateIdentityData(mockCtx, validIoTData);
@@ -129,7 +151,7 @@ describe('IdentityContract - Basic Tests', () => {
     describe('Helper Methods', () => {
         it('should return correct required fields for vehicle type', () => {
             const requiredFields = contract.getRequiredFieldsForType('vehicle');
-            expect(requiredFields).to.deep.equal(['vin', 'make', 'model', 'year']);
+            expect(requiredFields).to.deep.equal(['vin', 'make', 'model', 'year', 'mileage']);
         });
 
         it('should return correct required fields for pet type', () => {
@@ -155,7 +177,7 @@ describe('IdentityContract - Basic Tests', () => {
                 data: { vin: '1HGBH41JXMN109186' }
             };
 
-            const result = await contract.CheckCrossDomainConsistency(null, vehicleData);
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), vehicleData);
             expect(result.consistent).to.be.true;
             expect(result.reason).to.include('consistency verified');
         });
@@ -166,7 +188,7 @@ describe('IdentityContract - Basic Tests', () => {
                 data: { vin: '123INVALID456' }
             };
 
-            const result = await contract.CheckCrossDomainConsistency(null, vehicleData);
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), vehicleData);
             expect(result.consistent).to.be.false;
             expect(result.reason).to.include('VIN format violates');
         });
@@ -177,7 +199,7 @@ describe('IdentityContract - Basic Tests', () => {
                 data: { microchipId: '956000014569871' }
             };
 
-            const result = await contract.CheckCrossDomainConsistency(null, petData);
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), petData);
             expect(result.consistent).to.be.true;
         });
 
@@ -187,7 +209,7 @@ describe('IdentityContract - Basic Tests', () => {
                 data: { microchipId: '123000014569871' } // Wrong prefix
             };
 
-            const result = await contract.CheckCrossDomainConsistency(null, petData);
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), petData);
             expect(result.consistent).to.be.false;
             expect(result.reason).to.include('does not follow ISO');
         });
@@ -205,12 +227,12 @@ describe('IdentityContract - Basic Tests', () => {
                 }
             };
 
-            const mockCtx = null;
+            const mockCtx = createMockContext();
             
             try {
                 const result = await contract.ValidateIdentityData(mockCtx, incompleteData);
                 expect(result.valid).to.be.false;
-                expect(result.explanation).to.include('Invalid VIN');
+                expect(result.explanation).to.include("required property 'vin'");
             } catch (error) {
                 expect(error.message).to.exist;
             }
@@ -225,7 +247,7 @@ describe('IdentityContract - Basic Tests', () => {
                 }
             };
 
-            const mockCtx = null;
+            const mockCtx = createMockContext();
             
             try {
                 const result = await contract.ValidateIdentityData(mockCtx, unsupportedData);
@@ -236,4 +258,1935 @@ describe('IdentityContract - Basic Tests', () => {
             }
         });
     });
+
+    describe('Identity Updates', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, sampleVehicle);
+        });
+
+        it('should store new identities as version 1 and version their activation', async () => {
+            const { history } = JSON.parse(await contract.GetIdentityHistory(ctx, 'VEH-100'));
+            expect(history[history.length - 1].record).to.include({ version: 1, status: 'pending' });
+            const identity = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(identity).to.include({ version: 2, status: 'active' });
+        });
+
+        it('should merge data, bump the version and link the previous hash', async () => {
+            const before = await contract.ReadIdentity(ctx, 'VEH-100');
+            const result = JSON.parse(await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 30000 } })));
+
+            expect(result.version).to.equal(3);
+            expect(result.previousVersionHash).to.equal(contract._hashRecord(before));
+
+            const after = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(after.data.mileage).to.equal(30000);
+            expect(after.data.make).to.equal('Honda');
+            expect(ctx.stub.lastEvent('IdentityUpdated').payload.updatedFields).to.deep.equal(['mileage']);
+        });
+
+        it('should re-validate the merged record', async () => {
+            try {
+                await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { vin: 'SHORT' } }));
+                expect.fail('update should have been rejected');
+            } catch (error) {
+                expect(error.message).to.include('Invalid VIN format');
+            }
+            const identity = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(identity.version).to.equal(2);
+        });
+
+        it('should reject updates to unknown identities', async () => {
+            try {
+                await contract.UpdateIdentity(ctx, 'VEH-404', JSON.stringify({ data: { mileage: 1 } }));
+                expect.fail('update should have been rejected');
+            } catch (error) {
+                expect(error.message).to.include('does not exist');
+            }
+        });
+    });
+
+    describe('Identity Lifecycle', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, sampleVehicle);
+        });
+
+        it('should suspend and reinstate an identity with an actor and reason', async () => {
+            await contract.SuspendIdentity(ctx, 'VEH-100', 'lost_or_stolen', 'Reported by owner');
+            let identity = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(identity.status).to.equal('suspended');
+            expect(identity.statusHistory[1]).to.include({ from: 'active', to: 'suspended', reasonCode: 'lost_or_stolen' });
+            expect(identity.statusHistory[1].actor.mspId).to.equal('Org1MSP');
+
+            await contract.ReinstateIdentity(ctx, 'VEH-100', 'dispute_resolved');
+            identity = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(identity.status).to.equal('active');
+            expect(identity.statusHistory).to.have.lengthOf(3);
+            expect(ctx.stub.lastEvent('IdentityStatusChanged').payload.to).to.equal('active');
+        });
+
+        it('should treat revocation as terminal', async () => {
+            await contract.RevokeIdentity(ctx, 'VEH-100', 'decommissioned');
+            try {
+                await contract.ReinstateIdentity(ctx, 'VEH-100', 'administrative');
+                expect.fail('reinstating a revoked identity should fail');
+            } catch (error) {
+                expect(error.message).to.include('revoked -> active');
+            }
+        });
+
+        it('should reject unknown reason codes', async () => {
+            try {
+                await contract.SuspendIdentity(ctx, 'VEH-100', 'because');
+                expect.fail('unknown reason code should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('Invalid reason code');
+            }
+        });
+
+        it('should block updates while an identity is not active', async () => {
+            await contract.SuspendIdentity(ctx, 'VEH-100', 'fraud_suspected');
+            try {
+                await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 30000 } }));
+                expect.fail('update of a suspended identity should fail');
+            } catch (error) {
+                expect(error.message).to.include('is suspended');
+            }
+        });
+    });
+
+    describe('Identity History', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await registerActive(contract, ctx, sampleVehicle);
+            ctx.stub.txId = 'tx-0002';
+            ctx.stub.txSeconds += 60;
+            await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 26000 } }));
+        });
+
+        it('should return every version with tx id, timestamp and delete flag', async () => {
+            const result = JSON.parse(await contract.GetIdentityHistory(ctx, 'VEH-100'));
+            expect(result.totalVersions).to.equal(3);
+            expect(result.history[0]).to.include({ txId: 'tx-0002', version: 3, isDelete: false });
+            expect(result.history[0].timestamp).to.equal('2025-01-01T00:01:00.000Z');
+            expect(result.history[1].record).to.include({ status: 'active', version: 2 });
+            expect(result.history[2]).to.include({ txId: 'tx-0001', version: 1 });
+            expect(result.history[2].record.data.mileage).to.equal(25000);
+        });
+
+        it('should fail for identities that never existed', async () => {
+            try {
+                await contract.GetIdentityHistory(ctx, 'VEH-404');
+                expect.fail('history of an unknown identity should fail');
+            } catch (error) {
+                expect(error.message).to.include('No history found');
+            }
+        });
+    });
+
+    describe('Ownership Transfer', () => {
+        const seller = new MockClientIdentity('Org1MSP', 'x509::/CN=seller::/CN=ca', { role: 'registrar' });
+        const buyer = new MockClientIdentity('Org2MSP', 'x509::/CN=buyer::/CN=ca');
+        const newOwner = JSON.stringify({ mspId: 'Org2MSP', id: 'x509::/CN=buyer::/CN=ca', name: 'Jane Doe' });
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext(undefined, seller);
+            await registerActive(contract, ctx, sampleVehicle);
+        });
+
+        it('should record the registering client as owner', async () => {
+            const identity = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(identity.owner).to.deep.equal({ mspId: 'Org1MSP', id: 'x509::/CN=seller::/CN=ca' });
+        });
+
+        it('should swap the owner once the recipient accepts', async () => {
+            await contract.InitiateTransfer(ctx, 'VEH-100', newOwner);
+            ctx.clientIdentity = buyer;
+            ctx.stub.setTransient('privateDetails', { owner: 'Jane Doe', salt: 'bmV3LW93bmVyLXNhbHQ' });
+            await contract.AcceptTransfer(ctx, 'VEH-100');
+
+            const identity = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(identity.owner.mspId).to.equal('Org2MSP');
+            expect(identity.data.owner).to.be.undefined;
+            expect(identity.privateDataHash).to.be.a('string');
+            expect(identity.pendingTransfer).to.be.undefined;
+            expect(identity.ownershipHistory).to.have.lengthOf(1);
+            expect(ctx.stub.lastEvent('TransferAccepted')).to.exist;
+        });
+
+        it('should only let the current owner initiate', async () => {
+            ctx.clientIdentity = buyer;
+            try {
+                await contract.InitiateTransfer(ctx, 'VEH-100', newOwner);
+                expect.fail('non-owner should not initiate a transfer');
+            } catch (error) {
+                expect(error.message).to.include('Only the current owner');
+            }
+        });
+
+        it('should only let the proposed recipient accept', async () => {
+            await contract.InitiateTransfer(ctx, 'VEH-100', newOwner);
+            try {
+                await contract.AcceptTransfer(ctx, 'VEH-100');
+                expect.fail('owner should not accept their own transfer');
+            } catch (error) {
+                expect(error.message).to.include('Only the proposed recipient');
+            }
+        });
+
+        it('should let the recipient decline a pending transfer', async () => {
+            await contract.InitiateTransfer(ctx, 'VEH-100', newOwner);
+            ctx.clientIdentity = buyer;
+            await contract.CancelTransfer(ctx, 'VEH-100');
+
+            ctx.clientIdentity = seller;
+            const identity = await contract.ReadIdentity(ctx, 'VEH-100');
+            expect(identity.owner.mspId).to.equal('Org1MSP');
+            expect(identity.pendingTransfer).to.be.undefined;
+        });
+    });
+
+    describe('Type-Indexed Storage', () => {
+        const samplePet = {
+            id: 'PET-100',
+            type: 'pet',
+            data: { microchipId: '956000014569871', breed: 'Beagle', age: 4 }
+        };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, sampleVehicle);
+            ctx.stub.setTransient('privateDetails', { owner: 'John Smith', salt: 'c2FsdC1mb3ItcGV0LTEwMA' });
+            await registerActive(contract, ctx, samplePet);
+        });
+
+        it('should store identities under identity~type~id composite keys', async () => {
+            const key = ctx.stub.createCompositeKey('identity~type~id', ['vehicle', 'VEH-100']);
+            expect(ctx.stub.state.has(key)).to.be.true;
+            expect(ctx.stub.state.has('VEH-100')).to.be.false;
+        });
+
+        it('should list identities of a single type', async () => {
+            const result = JSON.parse(await contract.GetIdentitiesByType(ctx, 'pet'));
+            expect(result.totalCount).to.equal(1);
+            expect(result.identities[0].id).to.equal('PET-100');
+        });
+
+        it('should list all identities without contract metadata', async () => {
+            const result = JSON.parse(await contract.GetAllIdentities(ctx));
+            expect(result.identities.map(identity => identity.id)).to.have.members(['VEH-100', 'PET-100']);
+        });
+
+        it('should migrate plain-key records to composite keys', async () => {
+            const legacy = { ...sampleVehicle, id: 'VEH-LEGACY', status: 'active', version: 1 };
+            await ctx.stub.putState('VEH-LEGACY', Buffer.from(JSON.stringify(legacy)));
+            expect((await contract.ReadIdentity(ctx, 'VEH-LEGACY')).id).to.equal('VEH-LEGACY');
+
+            const result = JSON.parse(await contract.MigrateIdentityKeys(ctx, '10'));
+            expect(result.migrated).to.deep.equal(['VEH-LEGACY']);
+            expect(ctx.stub.state.has('VEH-LEGACY')).to.be.false;
+            expect(ctx.stub.state.has('CONTRACT_INFO')).to.be.true;
+
+            const vehicles = JSON.parse(await contract.GetIdentitiesByType(ctx, 'vehicle'));
+            expect(vehicles.identities.map(identity => identity.id)).to.have.members(['VEH-100', 'VEH-LEGACY']);
+
+            const history = JSON.parse(await contract.GetIdentityHistory(ctx, 'VEH-LEGACY'));
+            expect(history.history.some(entry => entry.legacyKey && entry.isDelete)).to.be.true;
+        });
+    });
+
+    describe('Paginated Listing', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            for (const suffix of ['1', '2', '3']) {
+                const vehicle = { ...sampleVehicle, id: `VEH-20${suffix}` };
+                await registerActive(contract, ctx, vehicle);
+            }
+        });
+
+        it('should return a page and a bookmark for the next one', async () => {
+            const first = JSON.parse(await contract.GetAllIdentities(ctx, '2', ''));
+            expect(first.identities.map(identity => identity.id)).to.deep.equal(['VEH-201', 'VEH-202']);
+            expect(first.hasMore).to.be.true;
+
+            const second = JSON.parse(await contract.GetIdentitiesByType(ctx, 'vehicle', '2', first.bookmark));
+            expect(second.identities.map(identity => identity.id)).to.deep.equal(['VEH-203']);
+            expect(second.hasMore).to.be.false;
+        });
+
+        it('should not report more pages after an exactly full last page', async () => {
+            const all = JSON.parse(await contract.GetAllIdentities(ctx, '3', ''));
+            expect(all.identities).to.have.lengthOf(3);
+            expect(all.hasMore).to.be.false;
+
+            const selector = JSON.stringify({ type: 'vehicle' });
+            const first = JSON.parse(await contract.QueryIdentities(ctx, selector, '2', ''));
+            expect(first.hasMore).to.be.true;
+            const last = JSON.parse(await contract.QueryIdentities(ctx, selector, '1', first.bookmark));
+            expect(last.identities.map(identity => identity.id)).to.deep.equal(['VEH-203']);
+            expect(last.hasMore).to.be.false;
+        });
+
+        it('should reject out-of-range page sizes', async () => {
+            try {
+                await contract.GetAllIdentities(ctx, '500', '');
+                expect.fail('oversized page should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('pageSize must be');
+            }
+        });
+    });
+
+    describe('Rich Queries', () => {
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, sampleVehicle);
+            await registerActive(contract, ctx, {
+                ...sampleVehicle,
+                id: 'VEH-101',
+                data: { ...sampleVehicle.data, vin: '5YJ3E1EA2KF317000', make: 'Tesla', model: 'Model 3', year: 2019 }
+            });
+        });
+
+        it('should query identities by whitelisted fields', async () => {
+            const result = JSON.parse(await contract.QueryIdentities(ctx, JSON.stringify({ 'data.make': 'Tesla', status: 'active' })));
+            expect(result.identities.map(identity => identity.id)).to.deep.equal(['VEH-101']);
+        });
+
+        it('should support registrationTime ranges with pagination', async () => {
+            const selector = { registrationTime: { $gte: '2000-01-01T00:00:00.000Z' } };
+            const result = JSON.parse(await contract.QueryIdentities(ctx, JSON.stringify(selector), '1', ''));
+            expect(result.identities).to.have.lengthOf(1);
+            expect(result.hasMore).to.be.true;
+        });
+
+        it('should reject fields outside the whitelist', async () => {
+            // data.owner is private data for vehicles and pets, never on the public record
+            for (const selector of [{ validationTrace: 'x' }, { 'data.owner': 'Jane Doe' }]) {
+                try {
+                    await contract.QueryIdentities(ctx, JSON.stringify(selector));
+                    expect.fail('non-whitelisted field should be rejected');
+                } catch (error) {
+                    expect(error.message).to.include('is not queryable');
+                }
+            }
+        });
+
+        it('should reject disallowed operators', async () => {
+            try {
+                await contract.QueryIdentities(ctx, JSON.stringify({ 'data.make': { $regex: '.*' } }));
+                expect.fail('regex operator should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('is not allowed');
+            }
+        });
+    });
+
+    describe('Identity Type Registry', () => {
+        const admin = new MockClientIdentity('Org1MSP', 'x509::/CN=admin::/CN=ca', { role: 'admin' });
+        const droneType = {
+            name: 'drone',
+            requiredFields: ['serialNumber', 'manufacturer', 'maxTakeoffWeight'],
+            schema: { type: 'object', required: ['serialNumber'] },
+            validationRules: [{ field: 'maxTakeoffWeight', rule: 'maximum', value: 25, message: 'Drone exceeds the open category weight limit' }],
+            consistencyRules: [{ field: 'serialNumber', rule: 'prefix', value: 'DRN-', message: 'Drone serial numbers start with DRN-' }]
+        };
+        const sampleDrone = {
+            id: 'DRN-001',
+            type: 'drone',
+            data: { serialNumber: 'DRN-0001', manufacturer: 'DJI', maxTakeoffWeight: 4 }
+        };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext(undefined, admin);
+            await contract.InitLedger(ctx);
+        });
+
+        it('should seed the built-in types on InitLedger', async () => {
+            const result = JSON.parse(await contract.ListIdentityTypes(ctx));
+            expect(result.types.map(type => type.name)).to.have.members(['vehicle', 'pet', 'iot']);
+        });
+
+        it('should accept identities of a newly registered type', async () => {
+            await contract.RegisterIdentityType(ctx, JSON.stringify(droneType));
+            const result = JSON.parse(await registerActive(contract, ctx, sampleDrone));
+            expect(result.success).to.be.true;
+
+            const info = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(info.supportedTypes).to.include('drone');
+        });
+
+        it('should apply the registered validation and consistency rules', async () => {
+            await contract.RegisterIdentityType(ctx, JSON.stringify(droneType));
+            const heavy = { ...sampleDrone, data: { ...sampleDrone.data, maxTakeoffWeight: 40 } };
+            const validation = await contract.ValidateIdentityData(ctx, heavy);
+            expect(validation.explanation).to.equal('/data/maxTakeoffWeight Drone exceeds the open category weight limit');
+
+            const mislabelled = { ...sampleDrone, data: { ...sampleDrone.data, serialNumber: 'X-1' } };
+            const consistency = await contract.CheckCrossDomainConsistency(ctx, mislabelled);
+            expect(consistency.reason).to.equal('Drone serial numbers start with DRN-');
+        });
+
+        it('should only let administrators register types', async () => {
+            ctx.clientIdentity = new MockClientIdentity();
+            try {
+                await contract.RegisterIdentityType(ctx, JSON.stringify(droneType));
+                expect.fail('non-admin should not register types');
+            } catch (error) {
+                expect(error.message).to.match(/^ACCESS_DENIED/);
+            }
+        });
+
+        it('should reject malformed definitions', async () => {
+            try {
+                await contract.RegisterIdentityType(ctx, JSON.stringify({ name: 'Bad Name', requiredFields: 'vin' }));
+                expect.fail('malformed definition should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('Invalid type definition');
+            }
+        });
+    });
+
+    describe('Schema Validation', () => {
+        it('should report structured error paths like Ajv', async () => {
+            const result = await contract.ValidateIdentityData(createMockContext(), {
+                id: 'VEH-300',
+                type: 'vehicle',
+                data: { ...sampleVehicle.data, year: '2021', mileage: -5 }
+            });
+            expect(result.valid).to.be.false;
+            expect(result.errors).to.deep.include({
+                instancePath: '/data/mileage',
+                schemaPath: '#/properties/mileage/minimum',
+                keyword: 'minimum',
+                params: { comparison: '>=', limit: 0 },
+                message: 'Mileage cannot be negative'
+            });
+            expect(result.errors.map(error => error.instancePath)).to.include('/data/year');
+        });
+
+        it('should require mileage for vehicles', async () => {
+            const { mileage, ...withoutMileage } = sampleVehicle.data;
+            const result = await contract.ValidateIdentityData(createMockContext(), { ...sampleVehicle, data: withoutMileage });
+            expect(result.valid).to.be.false;
+            expect(result.errors[0].params).to.deep.equal({ missingProperty: 'mileage' });
+        });
+
+        it('should ship the device-model schemas unchanged', () => {
+            const files = ['vehicle', 'pet', 'iot'].map(type => `${type}-identity-schema.json`);
+            for (const file of [...files, 'device-identity-schema.json', 'register-maintenance-event-schema.json']) {
+                const shipped = fs.readFileSync(path.join(__dirname, '..', 'lib', 'schemas', file), 'utf8');
+                const source = fs.readFileSync(path.join(__dirname, '..', '..', '..', 'device-model', file), 'utf8');
+                expect(shipped, file).to.equal(source);
+            }
+        });
+
+        it('should refuse type schemas using unsupported keywords', async () => {
+            const ctx = createMockContext(undefined, new MockClientIdentity('Org1MSP', 'admin', { role: 'admin' }));
+            const definition = { name: 'e-bike', schema: { type: 'object', oneOf: [{ required: ['frameNumber'] }] } };
+            try {
+                await contract.RegisterIdentityType(ctx, JSON.stringify(definition));
+                expect.fail('unsupported keyword should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('#/oneOf');
+            }
+        });
+    });
+
+    describe('Access Control', () => {
+        const auditor = new MockClientIdentity('AuditMSP', 'x509::/CN=auditor::/CN=ca');
+        const stranger = new MockClientIdentity('Org3MSP', 'x509::/CN=stranger::/CN=ca');
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, sampleVehicle);
+        });
+
+        // fabric-shim exposes every prototype method without a leading underscore
+        it('should expose only transactions, not internal helpers', () => {
+            const exposed = Object.getOwnPropertyNames(IdentityContract.prototype)
+                .filter(name => name !== 'constructor' && !name.startsWith('_'));
+            expect(exposed.filter(name => !/^[A-Z]/.test(name))).to.deep.equal(['getRequiredFieldsForType']);
+        });
+
+        it('should refuse to re-initialize the ledger', async () => {
+            try {
+                await contract.InitLedger(ctx);
+                expect.fail('second InitLedger should fail');
+            } catch (error) {
+                expect(error.message).to.include('already initialized');
+            }
+            const info = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(info.totalIdentities).to.equal(1);
+        });
+
+        it('should deny registration without the registrar role', async () => {
+            ctx.clientIdentity = stranger;
+            try {
+                await contract.RegisterIdentity(ctx, JSON.stringify({ ...sampleVehicle, id: 'VEH-200' }));
+                expect.fail('stranger should not register');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+                expect(error.message).to.match(/^ACCESS_DENIED: Org3MSP/);
+            }
+        });
+
+        it('should record the creating client and an explicit owner', async () => {
+            const owner = { mspId: 'Org2MSP', id: 'x509::/CN=owner::/CN=ca' };
+            await registerActive(contract, ctx, { ...sampleVehicle, id: 'VEH-201', owner });
+
+            const identity = await contract.ReadIdentity(ctx, 'VEH-201');
+            expect(identity.createdBy).to.deep.equal({ mspId: 'Org1MSP', id: 'x509::/CN=registrar::/CN=ca' });
+            expect(identity.owner).to.deep.equal(owner);
+
+            ctx.clientIdentity = new MockClientIdentity(owner.mspId, owner.id);
+            await contract.SuspendIdentity(ctx, 'VEH-201', 'lost_or_stolen', 'Reported by owner');
+            try {
+                await contract.ReinstateIdentity(ctx, 'VEH-201', 'dispute_resolved');
+                expect.fail('owners should not lift suspensions');
+            } catch (error) {
+                expect(error.message).to.match(/^ACCESS_DENIED/);
+            }
+        });
+
+        it('should grant roles to a whole MSP', async () => {
+            ctx.clientIdentity = auditor;
+            try {
+                await contract.GetIdentityHistory(ctx, 'VEH-100');
+                expect.fail('auditor role has not been granted yet');
+            } catch (error) {
+                expect(error.message).to.match(/^ACCESS_DENIED/);
+            }
+
+            ctx.clientIdentity = new MockClientIdentity('Org1MSP', 'admin', { role: 'admin' });
+            await contract.SetMspRoles(ctx, 'AuditMSP', JSON.stringify(['auditor']));
+
+            ctx.clientIdentity = auditor;
+            const history = JSON.parse(await contract.GetIdentityHistory(ctx, 'VEH-100'));
+            expect(history.history).to.have.lengthOf(2);
+            try {
+                await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 26000 } }));
+                expect.fail('auditors are read-only');
+            } catch (error) {
+                expect(error.message).to.match(/^ACCESS_DENIED/);
+            }
+        });
+
+        it('should reject grants of unknown or per-identity roles', async () => {
+            try {
+                await contract.SetMspRoles(ctx, 'Org2MSP', JSON.stringify(['owner']));
+                expect.fail('owner is not grantable');
+            } catch (error) {
+                expect(error.message).to.include('Roles must be an array');
+            }
+        });
+    });
+
+    describe('Private Owner Details', () => {
+        const samplePet = {
+            id: 'PET-200',
+            type: 'pet',
+            data: { microchipId: '956000014569871', breed: 'Beagle', age: 4 }
+        };
+        const ownerDetails = { owner: 'John Smith', ownerContact: { email: 'john@example.com' } };
+        const salt = 'cGV0LTIwMC1zYWx0LXZhbHVl';
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            ctx.stub.setTransient('privateDetails', { ...ownerDetails, salt });
+            await registerActive(contract, ctx, samplePet);
+            ctx.stub.transient.clear();
+        });
+
+        it('should keep owner PII out of world state', async () => {
+            const identity = await contract.ReadIdentity(ctx, 'PET-200');
+            expect(identity.data.owner).to.be.undefined;
+            expect(identity.privateDataCollection).to.equal('identityPrivateDetails');
+            expect(identity.privateDataHash).to.match(/^[0-9a-f]{64}$/);
+            expect(ctx.stub.writes.some(write => write.value.includes('John Smith'))).to.be.false;
+        });
+
+        it('should return private details with a matching hash to authorized callers', async () => {
+            const result = JSON.parse(await contract.ReadIdentityPrivateDetails(ctx, 'PET-200'));
+            expect(result.details).to.deep.equal(ownerDetails);
+            expect(result.hashMatches).to.be.true;
+        });
+
+        it('should refuse PII submitted in public data', async () => {
+            const inline = { ...samplePet, id: 'PET-201', data: { ...samplePet.data, owner: 'John Smith' } };
+            try {
+                await registerActive(contract, ctx, inline);
+                expect.fail('inline owner should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('owner must be passed in transient privateDetails');
+            }
+        });
+
+        it('should still require the owner for pets', async () => {
+            try {
+                await contract.RegisterIdentity(ctx, JSON.stringify({ ...samplePet, id: 'PET-202' }));
+                expect.fail('pet without owner should be rejected');
+            } catch (error) {
+                expect(error.message).to.include("required property 'owner'");
+            }
+        });
+
+        it('should require a salt', async () => {
+            ctx.stub.setTransient('privateDetails', ownerDetails);
+            try {
+                await contract.RegisterIdentity(ctx, JSON.stringify({ ...samplePet, id: 'PET-203' }));
+                expect.fail('unsalted details should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('needs a salt');
+            }
+        });
+
+        it('should re-salt merged details on update', async () => {
+            const before = (await contract.ReadIdentity(ctx, 'PET-200')).privateDataHash;
+            ctx.stub.setTransient('privateDetails', { ownerContact: { phone: '+44 20 7946 0000' }, salt: 'dXBkYXRlZC1zYWx0LXZhbHVl' });
+            await contract.UpdateIdentity(ctx, 'PET-200', JSON.stringify({ data: { age: 5 } }));
+
+            const identity = await contract.ReadIdentity(ctx, 'PET-200');
+            expect(identity.privateDataHash).to.not.equal(before);
+            const result = JSON.parse(await contract.ReadIdentityPrivateDetails(ctx, 'PET-200'));
+            expect(result.details).to.deep.equal({ owner: 'John Smith', ownerContact: { phone: '+44 20 7946 0000' } });
+            expect(result.hashMatches).to.be.true;
+        });
+
+        it('should deny reads through another organization\'s peer', async () => {
+            ctx.stub.peerMspId = 'Org2MSP';
+            try {
+                await contract.ReadIdentityPrivateDetails(ctx, 'PET-200');
+                expect.fail('cross-org read should be denied');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+            }
+        });
+
+        it('should replace the previous owner\'s details when ownership changes hands', async () => {
+            const buyer = new MockClientIdentity('Org1MSP', 'x509::/CN=buyer::/CN=ca', { role: 'registrar' });
+            ctx.clientIdentity = new MockClientIdentity('Org1MSP', 'x509::/CN=registrar::/CN=ca');
+            await contract.InitiateTransfer(ctx, 'PET-200', JSON.stringify({ mspId: 'Org1MSP', id: buyer.id, name: 'Jane Doe' }));
+            expect(ctx.stub.lastEvent('TransferInitiated').payload.ownerName).to.be.null;
+
+            ctx.clientIdentity = buyer;
+            try {
+                await contract.AcceptTransfer(ctx, 'PET-200');
+                expect.fail('accepting a pet without the new owner should be rejected');
+            } catch (error) {
+                expect(error.message).to.equal('Accepting PET-200 needs the new owner in transient privateDetails');
+            }
+
+            ctx.stub.setTransient('privateDetails', { owner: 'Jane Doe', salt: 'bmV3LW93bmVyLXNhbHQ' });
+            await contract.AcceptTransfer(ctx, 'PET-200');
+            const result = JSON.parse(await contract.ReadIdentityPrivateDetails(ctx, 'PET-200'));
+            expect(result.details).to.deep.equal({ owner: 'Jane Doe' });
+            expect(result.hashMatches).to.be.true;
+
+            ctx.stub.transient.clear();
+            await contract.UpdateIdentity(ctx, 'PET-200', JSON.stringify({ data: { age: 5 } }));
+            expect((await contract.ReadIdentity(ctx, 'PET-200')).data.age).to.equal(5);
+        });
+    });
+
+    describe('Verifiable Credentials', () => {
+        const unsignedCredential = {
+            '@context': ['https://www.w3.org/2018/credentials/v1'],
+            id: 'urn:uuid:3f1c2a5e-8b4d-4c7a-9e2f-1a2b3c4d5e6f',
+            type: ['VerifiableCredential', 'VehicleIdentityCredential'],
+            issuer: 'did:example:issuer',
+            credentialSubject: { id: 'urn:udif:vehicle:VEH-100', identityId: 'VEH-100', vin: '1HGBH41JXMN109186' },
+            credentialStatus: { statusListCredential: 'https://dashboard.example/api/credentials/status-list' }
+        };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await registerActive(contract, ctx, sampleVehicle);
+        });
+
+        it('should assign a status-list index and anchor the credential hash', async () => {
+            const index = preferredStatusIndex(unsignedCredential.id, 0);
+            const result = JSON.parse(await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify(unsignedCredential)));
+            expect(result.credential.credentialStatus.statusListIndex).to.equal(String(index));
+            expect(result.credential.credentialStatus.id).to.equal(`https://dashboard.example/api/credentials/status-list#${index}`);
+            expect(result.credential.issuanceDate).to.equal('2025-01-01T00:00:00.000Z');
+            expect(result.record.credentialHash).to.equal(hashCredential(result.credential));
+
+            const second = JSON.parse(await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify({ ...unsignedCredential, id: 'urn:uuid:second' })));
+            expect(second.record.statusListIndex).to.equal(preferredStatusIndex('urn:uuid:second', 0));
+        });
+
+        it('should issue without touching a shared status-list key', async () => {
+            const written = ctx.stub.writes.length;
+            await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify(unsignedCredential));
+            const keys = ctx.stub.writes.slice(written).map(write => write.key);
+            expect(keys).to.have.lengthOf(2);
+            expect(keys.some(key => key.includes('credentialStatusList~id'))).to.be.false;
+        });
+
+        it('should move to the next free index on a collision and skip indexes the old counter assigned', async () => {
+            const legacyKey = ctx.stub.createCompositeKey('credentialStatusList~id', ['revocation-1']);
+            await ctx.stub.putState(legacyKey, Buffer.from(JSON.stringify({ listId: 'revocation-1', nextIndex: 5 })));
+            const index = preferredStatusIndex(unsignedCredential.id, 5);
+            const entryKey = ctx.stub.createCompositeKey('credentialStatusEntry~list~index', ['revocation-1', String(index)]);
+            await ctx.stub.putState(entryKey, Buffer.from(JSON.stringify({ credentialId: 'urn:uuid:earlier' })));
+
+            const result = JSON.parse(await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify(unsignedCredential)));
+            expect(result.record.statusListIndex).to.equal(index + 1 < 131072 ? index + 1 : 5);
+        });
+
+        it('should hash the same credential identically regardless of key order or proof', () => {
+            const reordered = { credentialSubject: unsignedCredential.credentialSubject, ...unsignedCredential };
+            expect(hashCredential(reordered)).to.equal(hashCredential(unsignedCredential));
+            expect(hashCredential({ ...unsignedCredential, proof: { jws: 'x' } })).to.equal(hashCredential(unsignedCredential));
+        });
+
+        it('should hash credentials the same way as the dashboard\'s copy', () => {
+            const dashboard = require(path.join(__dirname, '..', '..', '..', 'universal-identity-dashboard', 'credential-hash'));
+            const signed = { ...unsignedCredential, credentialStatus: { ...unsignedCredential.credentialStatus, statusListIndex: '7' }, proof: { jws: 'x' } };
+            expect(dashboard.canonicalJson(signed)).to.equal(canonicalJson(signed));
+            expect(dashboard.hashCredential(signed)).to.equal(hashCredential(signed));
+        });
+
+        it('should report revocation of the credential or its identity', async () => {
+            await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify(unsignedCredential));
+            let status = JSON.parse(await contract.GetCredentialStatus(ctx, unsignedCredential.id));
+            expect(status.revoked).to.be.false;
+
+            await contract.RevokeCredential(ctx, unsignedCredential.id, 'fraud_suspected');
+            status = JSON.parse(await contract.GetCredentialStatus(ctx, unsignedCredential.id));
+            expect(status.revoked).to.be.true;
+            expect(status.revocation.reasonCode).to.equal('fraud_suspected');
+
+            await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify({ ...unsignedCredential, id: 'urn:uuid:other' }));
+            await contract.SuspendIdentity(ctx, 'VEH-100', 'lost_or_stolen');
+            status = JSON.parse(await contract.GetCredentialStatus(ctx, 'urn:uuid:other'));
+            expect(status.identityStatus).to.equal('suspended');
+            expect(status.revoked).to.be.true;
+        });
+
+        it('should refuse signed, mismatched or duplicate credentials', async () => {
+            const attempts = [
+                [{ ...unsignedCredential, proof: { jws: 'x' } }, 'submitted unsigned'],
+                [{ ...unsignedCredential, credentialSubject: { id: 'urn:udif:vehicle:VEH-999', identityId: 'VEH-999' } }, 'identityId must be VEH-100'],
+                [{ ...unsignedCredential, type: ['VehicleIdentityCredential'] }, 'VerifiableCredential']
+            ];
+            for (const [credential, message] of attempts) {
+                try {
+                    await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify(credential));
+                    expect.fail(`should reject: ${message}`);
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+
+            await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify(unsignedCredential));
+            try {
+                await contract.IssueCredential(ctx, 'VEH-100', JSON.stringify(unsignedCredential));
+                expect.fail('duplicate credential id should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('already issued');
+            }
+        });
+    });
+
+    describe('DID Documents', () => {
+        const did = 'did:udif:vehicle:VEH-100';
+        const publicKeyPem = (type, options) => crypto.generateKeyPairSync(type, options).publicKey.export({ type: 'spki', format: 'pem' });
+        const deviceKey = publicKeyPem('ed25519');
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await registerActive(contract, ctx, sampleVehicle);
+            await contract.CreateDIDDocument(ctx, 'VEH-100', JSON.stringify({
+                verificationMethods: [{ id: 'key-1', publicKey: deviceKey }],
+                services: [{ id: 'twin', type: 'DigitalTwinService', serviceEndpoint: 'https://dashboard.example/api/twin/1HGBH41JXMN109186' }]
+            }));
+        });
+
+        it('should resolve did:udif identifiers to their DID document', async () => {
+            const resolution = JSON.parse(await contract.ResolveDID(ctx, did));
+            expect(resolution.didDocument.id).to.equal(did);
+            expect(resolution.didDocument.verificationMethod[0]).to.include({ id: `${did}#key-1`, type: 'JsonWebKey2020', controller: did });
+            expect(resolution.didDocument.verificationMethod[0].publicKeyJwk).to.include({ kty: 'OKP', crv: 'Ed25519' });
+            expect(resolution.didDocument.authentication).to.deep.equal([`${did}#key-1`]);
+            expect(resolution.didDocument.service[0].id).to.equal(`${did}#twin`);
+            expect(resolution.didDocumentMetadata).to.include({ versionId: '1', deactivated: false });
+        });
+
+        it('should rotate keys while keeping the retired key in history', async () => {
+            const newKey = publicKeyPem('ec', { namedCurve: 'P-256' });
+            await contract.UpdateDIDDocument(ctx, did, JSON.stringify({
+                addVerificationMethods: [{ id: 'key-2', publicKey: newKey }],
+                removeVerificationMethods: ['key-1']
+            }));
+
+            const resolution = JSON.parse(await contract.ResolveDID(ctx, did));
+            expect(resolution.didDocument.verificationMethod.map(method => method.id)).to.deep.equal([`${did}#key-2`]);
+            expect(resolution.didDocumentMetadata.versionId).to.equal('2');
+            const retired = resolution.didDocumentMetadata.keyHistory.find(entry => entry.id === `${did}#key-1`);
+            expect(retired.revokedAt).to.equal('2025-01-01T00:00:00.000Z');
+
+            try {
+                await contract.UpdateDIDDocument(ctx, did, JSON.stringify({ addVerificationMethods: [{ id: 'key-1', publicKey: newKey }] }));
+                expect.fail('retired key ids must not be reused');
+            } catch (error) {
+                expect(error.message).to.include('must be unique');
+            }
+        });
+
+        it('should refuse to remove the last key and unreadable keys', async () => {
+            try {
+                await contract.UpdateDIDDocument(ctx, did, JSON.stringify({ removeVerificationMethods: ['key-1'] }));
+                expect.fail('last key should not be removable');
+            } catch (error) {
+                expect(error.message).to.include('at least one verification method');
+            }
+            try {
+                await contract.UpdateDIDDocument(ctx, did, JSON.stringify({ addVerificationMethods: [{ id: 'key-2', publicKey: 'not a key' }] }));
+                expect.fail('garbage key should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('unreadable public key');
+            }
+        });
+
+        it('should report invalid, unknown and deactivated DIDs', async () => {
+            for (const [input, code] of [['did:web:example.com', 'invalidDid'], ['did:udif:vehicle:VEH-404', 'notFound']]) {
+                try {
+                    await contract.ResolveDID(ctx, input);
+                    expect.fail(`${input} should not resolve`);
+                } catch (error) {
+                    expect(error.message).to.match(new RegExp(`^${code}`));
+                }
+            }
+
+            await contract.RevokeIdentity(ctx, 'VEH-100', 'decommissioned');
+            const resolution = JSON.parse(await contract.ResolveDID(ctx, did));
+            expect(resolution.didDocumentMetadata.deactivated).to.be.true;
+        });
+    });
+
+    describe('Maintenance Events', () => {
+        const sampleSensor = {
+            id: 'IOT-300',
+            type: 'iot',
+            data: { deviceType: 'telematics', manufacturer: 'AcmeCorp', serialNumber: 'TLM-300', firmwareVersion: '1.2.3' }
+        };
+        const upgrade = (oldVersion, newVersion, overrides = {}) => JSON.stringify({
+            type: 'RegisterMaintenanceEvent',
+            from: 'device-300',
+            timestamp: '2024-12-31T18:00:00Z',
+            payload: { eventType: 'firmwareUpgrade', oldVersion, newVersion, performedBy: 'Technician-X', ...overrides }
+        });
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await registerActive(contract, ctx, sampleSensor);
+            await registerDevice(contract, ctx, 'device-300', 'telematics');
+        });
+
+        it('should chain events from the registered firmware version', async () => {
+            const first = JSON.parse(await contract.RecordMaintenanceEvent(ctx, 'IOT-300', upgrade('1.2.3', '1.2.4')));
+            expect(first.sequence).to.equal(1);
+            await contract.RecordMaintenanceEvent(ctx, 'IOT-300', upgrade('1.2.4', '1.3.0'));
+
+            const history = JSON.parse(await contract.GetMaintenanceHistory(ctx, 'IOT-300'));
+            expect(history.currentVersion).to.equal('1.3.0');
+            expect(history.events.map(event => event.sequence)).to.deep.equal([1, 2]);
+            expect(history.events[1].previousEventHash).to.equal(contract._hashRecord(history.events[0]));
+            expect(ctx.stub.lastEvent('MaintenanceEventRecorded').payload.newVersion).to.equal('1.3.0');
+        });
+
+        it('should reject an event whose oldVersion breaks the chain', async () => {
+            await contract.RecordMaintenanceEvent(ctx, 'IOT-300', upgrade('1.2.3', '1.2.4'));
+            try {
+                await contract.RecordMaintenanceEvent(ctx, 'IOT-300', upgrade('1.2.3', '1.2.5'));
+                expect.fail('stale oldVersion should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('does not match last recorded version 1.2.4');
+            }
+        });
+
+        it('should validate the message against the RegisterMaintenanceEvent schema', async () => {
+            try {
+                await contract.RecordMaintenanceEvent(ctx, 'IOT-300', upgrade('1.2.3', '1.2.4', { eventType: 'tuning' }));
+                expect.fail('unknown event type should be rejected');
+            } catch (error) {
+                expect(error.message).to.include('/payload/eventType must be equal to one of the allowed values');
+            }
+        });
+
+        it('should refuse events from senders that are not registered agents', async () => {
+            const forged = JSON.stringify({ ...JSON.parse(upgrade('1.2.3', '1.2.4')), from: 'device-999' });
+            try {
+                await contract.RecordMaintenanceEvent(ctx, 'IOT-300', forged);
+                expect.fail('unregistered senders do not sign');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+                expect(error.message).to.equal('ACCESS_DENIED: device-999 is not a registered device agent and cannot sign messages');
+            }
+        });
+    });
+
+    describe('Odometer Rollback Detection', () => {
+        const vin = sampleVehicle.data.vin;
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await registerActive(contract, ctx, sampleVehicle);
+            await registerDevice(contract, ctx, 'workshop-7', 'workshopTerminal');
+        });
+
+        it('should reject an update that lowers the mileage', async () => {
+            try {
+                await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 12000 } }));
+                expect.fail('rollback should be rejected');
+            } catch (error) {
+                expect(error.message).to.include(`Odometer rollback for VIN ${vin}: 12000 km is below 25000 km`);
+                expect(error.message).to.include('registration of VEH-100');
+            }
+        });
+
+        it('should reject re-registering the VIN with lower mileage under a new id', async () => {
+            const reregistered = { ...sampleVehicle, id: 'VEH-100-B', data: { ...sampleVehicle.data, mileage: 9000 } };
+            try {
+                await registerActive(contract, ctx, reregistered);
+                expect.fail('re-registration with lower mileage should fail');
+            } catch (error) {
+                expect(error.message).to.include('Authentication failed: Odometer rollback');
+            }
+        });
+
+        it('should log registration, update and maintenance readings per VIN', async () => {
+            await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 26000 } }));
+            const message = JSON.stringify({
+                type: 'RegisterMaintenanceEvent',
+                from: 'workshop-7',
+                timestamp: '2024-12-31T18:00:00Z',
+                payload: { eventType: 'inspection', oldVersion: '4.1', newVersion: '4.1', performedBy: 'Technician-X' }
+            });
+            const result = JSON.parse(await contract.RecordMaintenanceEvent(ctx, 'VEH-100', message, '27500'));
+            expect(result.trace).to.include(`✅ Odometer 27500 km is not below 26000 km on record for VIN ${vin}`);
+
+            const history = JSON.parse(await contract.GetMileageHistory(ctx, vin));
+            expect(history.entries.map(entry => [entry.source, entry.mileage])).to.deep.equal([
+                ['registration', 25000], ['update', 26000], ['maintenance', 27500]
+            ]);
+            expect(history.highestMileage).to.equal(27500);
+        });
+
+        it('should flag a lower reading observed during maintenance', async () => {
+            const message = JSON.stringify({
+                type: 'RegisterMaintenanceEvent',
+                from: 'workshop-7',
+                timestamp: '2024-12-31T18:00:00Z',
+                payload: { eventType: 'repair', oldVersion: '4.1', newVersion: '4.1', performedBy: 'Technician-X' }
+            });
+            const result = JSON.parse(await contract.RecordMaintenanceEvent(ctx, 'VEH-100', message, '18000'));
+            expect(result.trace.some(line => line.startsWith('❌ Odometer rollback'))).to.be.true;
+            expect(ctx.stub.lastEvent('MaintenanceEventRecorded').payload.odometerRollback).to.include('18000 km');
+
+            const history = JSON.parse(await contract.GetMileageHistory(ctx, vin));
+            expect(history.flaggedCount).to.equal(1);
+            expect(history.highestMileage).to.equal(25000);
+            expect(history.entries[1]).to.include({ flagged: true, mileage: 18000 });
+        });
+    });
+
+    describe('Microchip Validation', () => {
+        const validatePet = (microchipId, extra = {}) => contract.ValidateIdentityData(createMockContext(), {
+            id: 'PET-CHIP',
+            type: 'pet',
+            data: { microchipId, breed: 'Beagle', owner: 'A. Owner', ...extra }
+        });
+
+        it('should decode an ISO 3166 country code into the trace', async () => {
+            const result = await validatePet('250269604123456');
+            expect(result.valid).to.be.true;
+            expect(result.trace).to.include('✅ Microchip issued under country code 250 (France), national ID 269604123456');
+        });
+
+        it('should decode an ICAR manufacturer code into the trace', async () => {
+            const result = await validatePet('985112003456789', { microchipTechnology: 'HDX' });
+            expect(result.valid).to.be.true;
+            expect(result.trace).to.include('✅ Microchip issued under ICAR manufacturer code 985 (Destron Fearing), ID 112003456789');
+        });
+
+        it('should report the decoded code from the consistency check', async () => {
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), { type: 'pet', data: { microchipId: '941000024680135' } });
+            expect(result.consistent).to.be.true;
+            expect(result.trace).to.deep.equal(['✅ Microchip issued under ICAR manufacturer code 941, ID 000024680135']);
+        });
+
+        it('should reject test transponders', async () => {
+            const result = await validatePet('999000000001234');
+            expect(result.valid).to.be.false;
+            expect(result.explanation).to.include('code 999 is reserved for test transponders');
+        });
+
+        it('should reject country codes that ISO 3166 does not assign', async () => {
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), { type: 'pet', data: { microchipId: '000123456789012' } });
+            expect(result.consistent).to.be.false;
+            expect(result.reason).to.equal('Microchip ID does not follow ISO 11784 format: 000 is not an ISO 3166 numeric country code');
+        });
+
+        it('should reject national IDs wider than 38 bits', async () => {
+            const result = await validatePet('276274877906944');
+            expect(result.valid).to.be.false;
+            expect(result.explanation).to.include('exceeds the 38-bit maximum 274877906943');
+        });
+
+        it('should reject codes that are not 15 digits and unknown air interfaces', async () => {
+            expect((await validatePet('95600001456987A')).valid).to.be.false;
+            expect((await validatePet('9560000145698712')).valid).to.be.false;
+            expect((await validatePet('956000014569871', { microchipTechnology: 'FDX-A' })).valid).to.be.false;
+        });
+    });
+
+    describe('VIN Validation', () => {
+        const vehicle = (data) => ({ id: 'VEH-VIN', type: 'vehicle', data: { ...sampleVehicle.data, ...data } });
+
+        it('should reject a VIN whose check digit does not match', async () => {
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), vehicle({ vin: '1HGBH41J5MN109186' }));
+            expect(result.consistent).to.be.false;
+            expect(result.reason).to.equal('VIN format violates standards: check digit is 5 but should be X');
+        });
+
+        it('should reject a bad check digit on update too', async () => {
+            const ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, vehicle({}));
+            try {
+                await contract.UpdateIdentity(ctx, 'VEH-VIN', JSON.stringify({ data: { vin: '5YJ3E1EA7KF317000' } }));
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.include('VIN format violates standards: check digit');
+            }
+        });
+
+        it('should decode the VIN once per registration', async () => {
+            const ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, vehicle({}));
+            const stored = await contract.ReadIdentity(ctx, 'VEH-VIN');
+            const traces = [...stored.validationTrace, ...stored.authenticationTrace];
+            expect(traces.filter(line => line.includes('VIN check digit'))).to.have.lengthOf(1);
+        });
+
+        it('should decode manufacturer and model year into the trace', async () => {
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), vehicle({}));
+            expect(result.consistent).to.be.true;
+            expect(result.trace).to.include.members([
+                '✅ VIN check digit valid; Honda, North America',
+                '✅ Model year 2021 matches VIN code M',
+                '✅ Make Honda matches WMI 1HG'
+            ]);
+        });
+
+        it('should report year and make mismatches without rejecting', async () => {
+            const result = await contract.CheckCrossDomainConsistency(createMockContext(), vehicle({ vin: '5YJ3E1EA2KF317000', make: 'Ford', year: 2021 }));
+            expect(result.consistent).to.be.true;
+            expect(result.trace).to.include.members([
+                '⚠️ Model year 2021 does not match VIN code K (1989 or 2019)',
+                '⚠️ Make Ford does not match WMI 5YJ (Tesla)'
+            ]);
+        });
+
+        it('should carry the VIN cross-check into the authentication trace', async () => {
+            const ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, vehicle({ make: 'Acura' }));
+            const stored = await contract.ReadIdentity(ctx, 'VEH-VIN');
+            expect(stored.authenticationTrace).to.include('⚠️ Make Acura does not match WMI 1HG (Honda)');
+        });
+    });
+
+    describe('Identity Links', () => {
+        const collar = { id: 'COLLAR-1', type: 'iot', data: { deviceType: 'gps-collar', manufacturer: 'Tractive', serialNumber: 'TRC-001' } };
+        const telematics = { id: 'TLM-1', type: 'iot', data: { deviceType: 'telematics', manufacturer: 'AcmeCorp', serialNumber: 'TLM-001' } };
+        const tag = { id: 'TAG-1', type: 'iot', data: { deviceType: 'bluetooth-tag', manufacturer: 'AcmeCorp', serialNumber: 'TAG-001' } };
+        const pet = { id: 'PET-300', type: 'pet', data: { microchipId: '250269604123456', breed: 'Beagle' } };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await registerActive(contract, ctx, sampleVehicle);
+            await registerActive(contract, ctx, collar);
+            await registerActive(contract, ctx, telematics);
+            await registerActive(contract, ctx, tag);
+            ctx.stub.setTransient('privateDetails', { owner: 'Jane Doe', salt: 'c2FsdC1mb3ItcGV0LTMwMA' });
+            await registerActive(contract, ctx, pet);
+        });
+
+        it('should store typed edges under composite keys in both directions', async () => {
+            const result = JSON.parse(await contract.LinkIdentities(ctx, 'COLLAR-1', 'attachedTo', 'PET-300'));
+            expect(result.link).to.include({ from: 'COLLAR-1', relation: 'attachedTo', to: 'PET-300' });
+
+            const forward = await ctx.stub.getState(ctx.stub.createCompositeKey('link~from~relation~to', ['COLLAR-1', 'attachedTo', 'PET-300']));
+            const reverse = await ctx.stub.getState(ctx.stub.createCompositeKey('linkReverse~to~relation~from', ['PET-300', 'attachedTo', 'COLLAR-1']));
+            expect(forward.toString()).to.equal(reverse.toString());
+            expect(ctx.stub.lastEvent('IdentitiesLinked').payload.to).to.equal('PET-300');
+        });
+
+        it('should reject unknown relations, self links and a second target', async () => {
+            try {
+                await contract.LinkIdentities(ctx, 'COLLAR-1', 'parentOf', 'PET-300');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.include('Unknown relation parentOf');
+            }
+            try {
+                await contract.LinkIdentities(ctx, 'TLM-1', 'installedIn', 'TLM-1');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.equal('An identity cannot be linked to itself');
+            }
+            await contract.LinkIdentities(ctx, 'TLM-1', 'installedIn', 'VEH-100');
+            try {
+                await contract.LinkIdentities(ctx, 'TLM-1', 'installedIn', 'PET-300');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.equal('TLM-1 is already installedIn VEH-100; unlink it first');
+            }
+        });
+
+        it('should only let registrars, admins or the source owner link', async () => {
+            ctx.clientIdentity = new MockClientIdentity('Org2MSP', 'x509::/CN=stranger::/CN=ca');
+            try {
+                await contract.LinkIdentities(ctx, 'COLLAR-1', 'attachedTo', 'PET-300');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+            }
+        });
+
+        it('should walk related identities up to the requested depth', async () => {
+            await contract.LinkIdentities(ctx, 'COLLAR-1', 'attachedTo', 'PET-300');
+            await contract.LinkIdentities(ctx, 'TAG-1', 'attachedTo', 'PET-300');
+            await contract.LinkIdentities(ctx, 'TLM-1', 'installedIn', 'VEH-100');
+
+            const oneHop = JSON.parse(await contract.GetRelatedIdentities(ctx, 'COLLAR-1'));
+            expect(oneHop.related.map(item => [item.id, item.relation, item.direction])).to.deep.equal([
+                ['PET-300', 'attachedTo', 'outgoing']
+            ]);
+
+            const twoHops = JSON.parse(await contract.GetRelatedIdentities(ctx, 'COLLAR-1', '2'));
+            expect(twoHops.related.map(item => [item.id, item.depth, item.via, item.direction])).to.deep.equal([
+                ['PET-300', 1, 'COLLAR-1', 'outgoing'],
+                ['TAG-1', 2, 'PET-300', 'incoming']
+            ]);
+            expect(twoHops.links).to.have.length(2);
+
+            const vehicle = JSON.parse(await contract.GetRelatedIdentities(ctx, 'VEH-100', '5'));
+            expect(vehicle.related.map(item => item.id)).to.deep.equal(['TLM-1']);
+
+            try {
+                await contract.GetRelatedIdentities(ctx, 'COLLAR-1', '6');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.equal('maxDepth must be an integer between 1 and 5');
+            }
+        });
+
+        it('should remove both edge keys on unlink', async () => {
+            await contract.LinkIdentities(ctx, 'COLLAR-1', 'attachedTo', 'PET-300');
+            await contract.UnlinkIdentities(ctx, 'COLLAR-1', 'attachedTo', 'PET-300');
+
+            const related = JSON.parse(await contract.GetRelatedIdentities(ctx, 'PET-300'));
+            expect(related.related).to.deep.equal([]);
+            expect(ctx.stub.lastEvent('IdentitiesUnlinked').payload.from).to.equal('COLLAR-1');
+            try {
+                await contract.UnlinkIdentities(ctx, 'COLLAR-1', 'attachedTo', 'PET-300');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.equal('COLLAR-1 is not attachedTo PET-300');
+            }
+        });
+    });
+
+    describe('Batch Registration', () => {
+        const sensor = (id, serialNumber) => ({ id, type: 'iot', data: { deviceType: 'temperature', manufacturer: 'Bosch', serialNumber } });
+        const invalidVehicle = { id: 'VEH-BAD', type: 'vehicle', data: { ...sampleVehicle.data, vin: '1HGBH41J5MN109186' } };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await enrollAgents(contract, ctx);
+        });
+
+        it('should register every item and return per-item traces', async () => {
+            const batch = [sampleVehicle, sensor('IOT-1', 'BSH-001'), sensor('IOT-2', 'BSH-002')];
+            const result = JSON.parse(await contract.RegisterIdentitiesBatch(ctx, JSON.stringify(batch)));
+
+            expect(result).to.include({ success: true, mode: 'atomic', registeredCount: 3, rejectedCount: 0 });
+            expect(result.results.map(item => item.status)).to.deep.equal(['registered', 'registered', 'registered']);
+            expect(result.results[0].authenticationTrace).to.include('✅ VIN check digit valid; Honda, North America');
+            expect(result.results[1].authenticationTrace[0]).to.equal('Applying authentication rules');
+            expect(result.results[2].votingDeadline).to.equal('2025-01-02T00:00:00.000Z');
+            expect((await contract.ReadIdentity(ctx, 'IOT-2')).status).to.equal('pending');
+
+            const info = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(info.totalIdentities).to.equal(3);
+            expect(ctx.stub.lastEvent('IdentitiesBatchRegistered').payload.identityIds).to.deep.equal(['VEH-100', 'IOT-1', 'IOT-2']);
+        });
+
+        it('should write nothing in atomic mode when one item fails', async () => {
+            const batch = [sensor('IOT-1', 'BSH-001'), invalidVehicle];
+            const result = JSON.parse(await contract.RegisterIdentitiesBatch(ctx, JSON.stringify(batch), 'atomic'));
+
+            expect(result).to.include({ success: false, registeredCount: 0, rejectedCount: 1 });
+            expect(result.results[0].status).to.equal('notCommitted');
+            expect(result.results[1].status).to.equal('rejected');
+            expect(result.results[1].explanation).to.include('Authentication failed: VIN format violates standards');
+            expect(result.results[1].authenticationTrace.some(line => line.startsWith('❌'))).to.be.true;
+            expect(await contract.ReadIdentity(ctx, 'IOT-1')).to.be.null;
+        });
+
+        it('should register the passing items in bestEffort mode', async () => {
+            const batch = [sensor('IOT-1', 'BSH-001'), invalidVehicle, sensor('IOT-1', 'BSH-009')];
+            const result = JSON.parse(await contract.RegisterIdentitiesBatch(ctx, JSON.stringify(batch), 'bestEffort'));
+
+            expect(result).to.include({ success: false, registeredCount: 1, rejectedCount: 2 });
+            expect(result.results.map(item => item.status)).to.deep.equal(['registered', 'rejected', 'rejected']);
+            expect(result.results[2].explanation).to.equal('Duplicate identity: IOT-1 is also item 0 of this batch');
+            expect((await contract.ReadIdentity(ctx, 'IOT-1')).data.serialNumber).to.equal('BSH-001');
+        });
+
+        it('should catch a VIN repeated within the batch', async () => {
+            const batch = [sampleVehicle, { ...sampleVehicle, id: 'VEH-101' }];
+            const result = JSON.parse(await contract.RegisterIdentitiesBatch(ctx, JSON.stringify(batch), 'bestEffort'));
+            expect(result.results[1].explanation).to.equal(`VIN ${sampleVehicle.data.vin} is also registered by item 0 of this batch`);
+        });
+
+        it('should take private details per identity id from the transient map', async () => {
+            const pet = { id: 'PET-400', type: 'pet', data: { microchipId: '250269604123456', breed: 'Beagle' } };
+            ctx.stub.setTransient('privateDetails', { 'PET-400': { owner: 'Jane Doe', salt: 'c2FsdC1mb3ItcGV0LTQwMA' } });
+            const result = JSON.parse(await contract.RegisterIdentitiesBatch(ctx, JSON.stringify([pet, sensor('IOT-1', 'BSH-001')])));
+
+            expect(result.registeredCount).to.equal(2);
+            const details = JSON.parse(await contract.ReadIdentityPrivateDetails(ctx, 'PET-400'));
+            expect(details.details.owner).to.equal('Jane Doe');
+        });
+
+        it('should reject unknown modes and oversized batches', async () => {
+            for (const [items, mode, message] of [
+                [[sampleVehicle], 'partial', 'Batch mode must be one of atomic, bestEffort'],
+                [[], 'atomic', 'Batch must be an array of 1 to 100 identities']
+            ]) {
+                try {
+                    await contract.RegisterIdentitiesBatch(ctx, JSON.stringify(items), mode);
+                    expect.fail('Expected an error');
+                } catch (error) {
+                    expect(error.message).to.equal(message);
+                }
+            }
+        });
+    });
+
+    describe('Agent Voting', () => {
+        const sensor = { id: 'IOT-700', type: 'iot', data: { deviceType: 'temperature', manufacturer: 'Bosch', serialNumber: 'BSH-700' } };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await enrollAgents(contract, ctx);
+        });
+
+        it('should open a proposal and keep the identity pending', async () => {
+            const result = JSON.parse(await contract.RegisterIdentity(ctx, JSON.stringify(sensor)));
+            expect(result).to.include({ status: 'pending', votingDeadline: '2025-01-02T00:00:00.000Z' });
+            expect(result.eligibleAgents).to.deep.equal({ 'validator-1': 2, 'validator-2': 1, 'validator-3': 1 });
+
+            const proposal = JSON.parse(await contract.GetProposal(ctx, 'IOT-700'));
+            expect(proposal).to.include({ status: 'open', identityId: 'IOT-700' });
+            expect(proposal.tally).to.deep.equal({ approveWeight: 0, rejectWeight: 0, totalWeight: 4, outcome: 'open' });
+        });
+
+        it('should read the eligible validators from one key instead of scanning the agents', async () => {
+            const scans = [];
+            const scan = ctx.stub.getStateByPartialCompositeKey.bind(ctx.stub);
+            ctx.stub.getStateByPartialCompositeKey = (objectType, attributes) => { scans.push(objectType); return scan(objectType, attributes); };
+            await contract.UpdateAgentState(ctx, 'validator-3', 'suspended', 'maintenance');
+            const result = JSON.parse(await contract.RegisterIdentity(ctx, JSON.stringify(sensor)));
+
+            expect(result.eligibleAgents).to.deep.equal({ 'validator-1': 2, 'validator-2': 1 });
+            expect(scans).to.not.include('agent~id');
+        });
+
+        it('should stop voting on a pending identity once it is revoked', async () => {
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            await contract.RevokeIdentity(ctx, 'IOT-700', 'administrative', 'Registered by mistake');
+            expect(JSON.parse(await contract.GetProposal(ctx, 'IOT-700')).status).to.equal('withdrawn');
+
+            try {
+                await castVote(contract, ctx, 'validator-1', 'IOT-700', 'approve');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.equal('Voting on IOT-700 is closed (withdrawn)');
+            }
+            expect((await contract.ReadIdentity(ctx, 'IOT-700')).status).to.equal('revoked');
+            expect(JSON.parse(await contract.GetContractInfo(ctx)).byStatus).to.deep.equal({ revoked: 1 });
+        });
+
+        it('should log the odometer reading of a registration only once approved', async () => {
+            const inflated = { ...sampleVehicle, data: { ...sampleVehicle.data, mileage: 999999 } };
+            await contract.RegisterIdentity(ctx, JSON.stringify(inflated));
+            expect(JSON.parse(await contract.GetMileageHistory(ctx, sampleVehicle.data.vin)).totalCount).to.equal(0);
+            await castVote(contract, ctx, 'validator-2', 'VEH-100', 'reject');
+            await castVote(contract, ctx, 'validator-3', 'VEH-100', 'reject');
+
+            await registerActive(contract, ctx, { ...sampleVehicle, id: 'VEH-101' });
+            const history = JSON.parse(await contract.GetMileageHistory(ctx, sampleVehicle.data.vin));
+            expect(history.entries.map(entry => [entry.identityId, entry.mileage, entry.flagged])).to.deep.equal([['VEH-101', 25000, false]]);
+        });
+
+        it('should activate once two thirds of the weight approves', async () => {
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            let vote = await castVote(contract, ctx, 'validator-2', 'IOT-700', 'approve', 'Serial number checks out');
+            expect(vote.tally).to.include({ approveWeight: 1, outcome: 'open' });
+            expect((await contract.ReadIdentity(ctx, 'IOT-700')).status).to.equal('pending');
+
+            vote = await castVote(contract, ctx, 'validator-1', 'IOT-700', 'approve');
+            expect(vote.tally).to.include({ approveWeight: 3, outcome: 'approved' });
+
+            const identity = await contract.ReadIdentity(ctx, 'IOT-700');
+            expect(identity.status).to.equal('active');
+            expect(identity.statusHistory[0]).to.include({ from: 'pending', to: 'active', reasonCode: 'agent_consensus' });
+            expect(identity.consensusTrace).to.deep.equal([
+                'Agent voting open until 2025-01-02T00:00:00.000Z; approval needs 2/3 of weight 4',
+                'validator-2 (weight 1): ✅ approve - Serial number checks out',
+                'validator-1 (weight 2): ✅ approve',
+                '✅ Consensus reached: 3/4 weight approved, 0 rejected'
+            ]);
+            expect(ctx.stub.lastEvent('AgentVoteCast').payload).to.include({ agentId: 'validator-1', outcome: 'approved' });
+        });
+
+        it('should reject once approval can no longer be reached', async () => {
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            await castVote(contract, ctx, 'validator-2', 'IOT-700', 'reject', 'Unknown serial range');
+            const vote = await castVote(contract, ctx, 'validator-3', 'IOT-700', 'reject');
+            expect(vote.tally.outcome).to.equal('rejected');
+            expect((await contract.ReadIdentity(ctx, 'IOT-700')).status).to.equal('rejected');
+
+            try {
+                await castVote(contract, ctx, 'validator-1', 'IOT-700', 'approve');
+                expect.fail('closed proposals take no votes');
+            } catch (error) {
+                expect(error.message).to.equal('Voting on IOT-700 is closed (rejected)');
+            }
+        });
+
+        it('should only count votes from enrolled agents, once each', async () => {
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            try {
+                await contract.CastAgentVote(ctx, 'IOT-700', 'approve');
+                expect.fail('the registrar is not an agent');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+            }
+
+            await castVote(contract, ctx, 'validator-1', 'IOT-700', 'approve');
+            try {
+                await castVote(contract, ctx, 'validator-1', 'IOT-700', 'approve');
+                expect.fail('agents vote once');
+            } catch (error) {
+                expect(error.message).to.equal('Agent validator-1 has already voted on IOT-700');
+            }
+        });
+
+        it('should expire proposals that miss the deadline', async () => {
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            await castVote(contract, ctx, 'validator-1', 'IOT-700', 'approve');
+            try {
+                await contract.CloseProposal(ctx, 'IOT-700');
+                expect.fail('voting is still open');
+            } catch (error) {
+                expect(error.message).to.include('is open until');
+            }
+
+            ctx.stub.txSeconds += 86401;
+            const late = await castVote(contract, ctx, 'validator-2', 'IOT-700', 'approve');
+            expect(late).to.include({ success: false, outcome: 'expired' });
+
+            const identity = await contract.ReadIdentity(ctx, 'IOT-700');
+            expect(identity.status).to.equal('rejected');
+            expect(identity.statusHistory[0].reasonCode).to.equal('voting_deadline_passed');
+            expect(identity.consensusTrace.slice(-1)[0]).to.equal('❌ Voting deadline 2025-01-02T00:00:00.000Z passed: 2/4 weight approved, 0 rejected');
+        });
+
+        it('should snapshot eligible agents when the proposal opens', async () => {
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            const latecomer = { ...AGENTS[0], agentId: 'validator-4', weight: 5, enrollment: { mspId: 'Org4MSP', id: 'x509::/CN=validator-4::/CN=ca' } };
+            await contract.RegisterAgent(ctx, JSON.stringify(latecomer));
+
+            ctx.clientIdentity = new MockClientIdentity(latecomer.enrollment.mspId, latecomer.enrollment.id);
+            try {
+                await contract.CastAgentVote(ctx, 'IOT-700', 'approve');
+                expect.fail('agents enrolled later do not vote');
+            } catch (error) {
+                expect(error.message).to.equal('Agent validator-4 was not enrolled when voting on IOT-700 opened');
+            }
+        });
+
+        it('should refuse registrations while no agents are enrolled', async () => {
+            const bare = createMockContext();
+            await contract.InitLedger(bare);
+            try {
+                await contract.RegisterIdentity(bare, JSON.stringify(sensor));
+                expect.fail('no one could vote');
+            } catch (error) {
+                expect(error.message).to.include('No active validator agents are registered');
+            }
+        });
+
+        it('should validate agents and keep one agent per enrollment', async () => {
+            for (const [agent, message] of [
+                [{ agentId: 'v 5', weight: 0, enrollment: {} }, 'Invalid agent: agentId must be'],
+                [{ ...AGENTS[0], agentId: 'validator-9' }, 'already acts for agent validator-1'],
+                [AGENTS[1], 'Agent validator-2 is already registered']
+            ]) {
+                try {
+                    await contract.RegisterAgent(ctx, JSON.stringify(agent));
+                    expect.fail('Expected an error');
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+    });
+
+    describe('Device Agents', () => {
+        const sensorAgent = {
+            agentId: 'device-300',
+            role: 'sensor',
+            metadata: {
+                deviceType: 'telematics',
+                manufacturer: 'AcmeCorp',
+                firmwareVersion: '1.2.3',
+                publicKey: crypto.generateKeyPairSync('ed25519').publicKey.export({ type: 'spki', format: 'pem' })
+            }
+        };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await enrollAgents(contract, ctx);
+        });
+
+        it('should store agents as DeviceAgent documents stamped with the transaction time', async () => {
+            const result = JSON.parse(await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent)));
+            expect(result.agent).to.include({ agentId: 'device-300', role: 'sensor', state: 'active', createdAt: '2025-01-01T00:00:00.000Z' });
+            expect(result.agent).to.not.have.property('weight');
+
+            const agent = JSON.parse(await contract.GetAgent(ctx, 'device-300'));
+            expect(agent.metadata.publicKey).to.equal(sensorAgent.metadata.publicKey);
+            expect(ctx.stub.lastEvent('AgentRegistered').payload).to.include({ agentId: 'device-300', role: 'sensor' });
+        });
+
+        it('should validate agents against the device identity schema', async () => {
+            for (const [agent, message] of [
+                [{ ...sensorAgent, role: 'gateway' }, '/role must be equal to one of the allowed values'],
+                [{ ...sensorAgent, metadata: { manufacturer: 'AcmeCorp' } }, "/metadata must have required property 'deviceType'"],
+                [{ ...sensorAgent, location: 'Lab 3' }, '/ must NOT have additional properties'],
+                [{ ...sensorAgent, weight: 3 }, 'only validators carry a consensus weight'],
+                [{ ...AGENTS[0], agentId: 'validator-9', weight: undefined }, 'weight must be an integer between 1 and 100']
+            ]) {
+                try {
+                    await contract.RegisterAgent(ctx, JSON.stringify(agent));
+                    expect.fail('Expected an error');
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+
+        it('should list agents by role', async () => {
+            await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent));
+            const validators = JSON.parse(await contract.ListAgents(ctx, 'validator'));
+            expect(validators.agents.map(agent => agent.agentId)).to.deep.equal(['validator-1', 'validator-2', 'validator-3']);
+            expect(JSON.parse(await contract.ListAgents(ctx)).totalCount).to.equal(4);
+        });
+
+        it('should keep suspended validators out of consensus', async () => {
+            await contract.UpdateAgentState(ctx, 'validator-3', 'suspended', 'Key rotation pending');
+            const result = JSON.parse(await contract.RegisterIdentity(ctx, JSON.stringify({
+                id: 'IOT-800', type: 'iot', data: { deviceType: 'temperature', manufacturer: 'Bosch', serialNumber: 'BSH-800' }
+            })));
+            expect(result.eligibleAgents).to.deep.equal({ 'validator-1': 2, 'validator-2': 1 });
+
+            await contract.UpdateAgentState(ctx, 'validator-2', 'suspended');
+            try {
+                await castVote(contract, ctx, 'validator-2', 'IOT-800', 'approve');
+                expect.fail('suspended agents do not vote');
+            } catch (error) {
+                expect(error.message).to.equal('ACCESS_DENIED: Agent validator-2 is suspended and cannot vote');
+            }
+
+            await contract.UpdateAgentState(ctx, 'validator-2', 'active', 'Cleared');
+            const agent = JSON.parse(await contract.GetAgent(ctx, 'validator-2'));
+            expect(agent.stateHistory.map(change => change.to)).to.deep.equal(['suspended', 'active']);
+        });
+
+        it('should stop suspended devices from signing messages', async () => {
+            await registerActive(contract, ctx, {
+                id: 'IOT-300', type: 'iot', data: { deviceType: 'telematics', manufacturer: 'AcmeCorp', serialNumber: 'TLM-300', firmwareVersion: '1.2.3' }
+            });
+            await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent));
+            await contract.UpdateAgentState(ctx, 'device-300', 'suspended');
+            try {
+                await contract.RecordMaintenanceEvent(ctx, 'IOT-300', JSON.stringify({
+                    type: 'RegisterMaintenanceEvent',
+                    from: 'device-300',
+                    timestamp: '2024-12-31T18:00:00Z',
+                    payload: { eventType: 'firmwareUpgrade', oldVersion: '1.2.3', newVersion: '1.2.4', performedBy: 'Technician-X' }
+                }));
+                expect.fail('suspended agents do not sign');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+                expect(error.message).to.include('device-300 is suspended and cannot sign messages');
+            }
+        });
+
+        it('should treat revocation as terminal and leave changes to admins', async () => {
+            await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent));
+            await contract.UpdateAgentState(ctx, 'device-300', 'revoked', 'Decommissioned');
+            try {
+                await contract.UpdateAgentState(ctx, 'device-300', 'active');
+                expect.fail('revoked agents stay revoked');
+            } catch (error) {
+                expect(error.message).to.equal('Illegal state transition for agent device-300: revoked -> active');
+            }
+
+            ctx.clientIdentity = new MockClientIdentity('Org1MSP', 'x509::/CN=registrar::/CN=ca', { role: 'registrar' });
+            try {
+                await contract.UpdateAgentState(ctx, 'validator-1', 'suspended');
+                expect.fail('registrars do not manage agents');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+            }
+        });
+    });
+
+    describe('Device Signatures', () => {
+        const verificationSchema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', '..', 'device-model', 'identity-verification-schema.json'), 'utf8'));
+        const nonce = 'b5f1c0de6a7e4f3c9d2a8e1f0b3c4d5e';
+        const ed25519 = crypto.generateKeyPairSync('ed25519');
+        const p256 = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const pem = keyPair => keyPair.publicKey.export({ type: 'spki', format: 'pem' });
+        const sensorAgent = (agentId, keyPair) => ({
+            agentId,
+            role: 'sensor',
+            metadata: { deviceType: 'temperatureSensor', manufacturer: 'AcmeCorp', publicKey: pem(keyPair) }
+        });
+        let ctx;
+
+        const verify = async (deviceId, signature, challenge = nonce) => {
+            const message = JSON.parse(await contract.VerifyDeviceSignature(ctx, deviceId, challenge, signature));
+            expect(validateAgainstSchema(verificationSchema, message).valid).to.be.true;
+            return message;
+        };
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await enrollAgents(contract, ctx);
+        });
+
+        it('should approve an Ed25519 signature over the nonce', async () => {
+            await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent('device-123456', ed25519)));
+            const signature = crypto.sign(null, Buffer.from(nonce), ed25519.privateKey).toString('base64');
+
+            const message = await verify('device-123456', signature);
+            expect(message).to.deep.include({ type: 'IdentityVerification', from: 'identityCoordinator', to: 'device-123456' });
+            expect(message.payload).to.deep.equal({
+                verificationStatus: 'approved',
+                reason: 'Signature over the challenge verified with key-1 of agent device-123456 (Ed25519)'
+            });
+        });
+
+        it('should accept ECDSA signatures in DER and raw form', async () => {
+            await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent('device-ec', p256)));
+            const der = crypto.sign('sha256', Buffer.from(nonce), p256.privateKey).toString('base64');
+            const raw = crypto.sign('sha256', Buffer.from(nonce), { key: p256.privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64url');
+
+            expect((await verify('device-ec', der)).payload.verificationStatus).to.equal('approved');
+            expect((await verify('device-ec', raw)).payload.reason).to.include('(ECDSA P-256)');
+        });
+
+        it('should deny signatures over another nonce or by another key', async () => {
+            await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent('device-123456', ed25519)));
+            const stale = crypto.sign(null, Buffer.from('an-older-nonce'), ed25519.privateKey).toString('base64');
+            const forged = crypto.sign(null, Buffer.from(nonce), crypto.generateKeyPairSync('ed25519').privateKey).toString('base64');
+
+            for (const signature of [stale, forged, '']) {
+                const message = await verify('device-123456', signature);
+                expect(message.payload).to.deep.equal({ verificationStatus: 'denied', reason: 'Signature does not match the registered Ed25519 key' });
+            }
+        });
+
+        it('should deny agents that are not active', async () => {
+            await contract.RegisterAgent(ctx, JSON.stringify(sensorAgent('device-123456', ed25519)));
+            await contract.UpdateAgentState(ctx, 'device-123456', 'suspended');
+            const signature = crypto.sign(null, Buffer.from(nonce), ed25519.privateKey).toString('base64');
+
+            const message = await verify('device-123456', signature);
+            expect(message.payload.reason).to.equal('Agent device-123456 is suspended and cannot sign messages');
+        });
+
+        it('should verify identities against their DID document keys', async () => {
+            const sensor = { id: 'IOT-900', type: 'iot', data: { deviceType: 'temperature', manufacturer: 'Bosch', serialNumber: 'BSH-900' } };
+            await registerActive(contract, ctx, sensor);
+            await contract.CreateDIDDocument(ctx, 'IOT-900', JSON.stringify({ verificationMethods: [{ id: 'key-1', publicKey: pem(p256) }] }));
+            const signature = crypto.sign('sha256', Buffer.from(nonce), p256.privateKey).toString('base64');
+
+            const message = await verify('IOT-900', signature);
+            expect(message.payload.reason).to.equal('Signature over the challenge verified with did:udif:iot:IOT-900#key-1 (ECDSA P-256)');
+            expect((await verify('IOT-404', signature)).payload.reason).to.equal('No agent or identity IOT-404 is registered');
+        });
+
+        it('should refuse agent keys that cannot authenticate devices', async () => {
+            const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+            for (const [publicKey, message] of [
+                [pem(rsa), 'rsa keys cannot authenticate devices; use ECDSA or Ed25519'],
+                ['-----BEGIN PUBLIC KEY-----\nMIIBIjANBgkqh...\n-----END PUBLIC KEY-----', '/metadata/publicKey unreadable public key']
+            ]) {
+                try {
+                    await contract.RegisterAgent(ctx, JSON.stringify({ ...sensorAgent('device-bad', ed25519), metadata: { deviceType: 'sensor', publicKey } }));
+                    expect.fail('Expected an error');
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+    });
+
+    describe('Device Key Rotation', () => {
+        const original = crypto.generateKeyPairSync('ed25519');
+        const replacement = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const pem = keyPair => keyPair.publicKey.export({ type: 'spki', format: 'pem' });
+        const signText = (keyPair, text) => crypto.sign(keyPair.privateKey.asymmetricKeyType === 'ec' ? 'sha256' : null, Buffer.from(text), keyPair.privateKey).toString('base64');
+        const device = { agentId: 'device-500', role: 'userDevice', metadata: { deviceType: 'smartphone', publicKey: pem(original) } };
+        const registrar = new MockClientIdentity('Org1MSP', 'x509::/CN=registrar::/CN=ca', { role: 'registrar' });
+        let ctx;
+
+        const verifyAt = async (message, signature, signedAt) => JSON.parse(
+            await contract.VerifyDeviceSignature(ctx, 'device-500', message, signature, signedAt)).payload;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await contract.RegisterAgent(ctx, JSON.stringify(device));
+            ctx.stub.txSeconds += 3600;
+            ctx.stub.txId = 'tx-0002';
+        });
+
+        it('should rotate on a statement signed by the current key', async () => {
+            const statement = rotationStatement('device-500', 'key-1', pem(replacement));
+            ctx.clientIdentity = registrar;
+            const result = JSON.parse(await contract.RotateDeviceKey(ctx, 'device-500', pem(replacement), signText(original, statement)));
+
+            expect(result.keyId).to.equal('key-2');
+            expect(result.keyHistory[0]).to.include({ keyId: 'key-1', validUntil: '2025-01-01T01:00:00.000Z', retiredReason: 'rotated' });
+            expect(result.keyHistory[1]).to.include({ keyId: 'key-2', algorithm: 'ECDSA P-256', validFrom: '2025-01-01T01:00:00.000Z', validUntil: null });
+            expect(ctx.stub.lastEvent('DeviceKeyRotated').payload).to.include({ previousKeyId: 'key-1', authorizedBy: 'previousKey' });
+
+            const nonce = 'fresh-nonce';
+            expect((await verifyAt(nonce, signText(replacement, nonce))).verificationStatus).to.equal('approved');
+            expect((await verifyAt(nonce, signText(original, nonce))).verificationStatus).to.equal('denied');
+        });
+
+        it('should refuse rotations signed by anything but the current key', async () => {
+            ctx.clientIdentity = registrar;
+            for (const signature of [
+                signText(replacement, rotationStatement('device-500', 'key-1', pem(replacement))),
+                signText(original, rotationStatement('device-500', 'key-0', pem(replacement)))
+            ]) {
+                try {
+                    await contract.RotateDeviceKey(ctx, 'device-500', pem(replacement), signature);
+                    expect.fail('Expected an error');
+                } catch (error) {
+                    expect(error).to.be.instanceOf(AccessDeniedError);
+                    expect(error.message).to.include('is not signed by its current key key-1');
+                }
+            }
+            try {
+                await contract.RotateDeviceKey(ctx, 'device-500', pem(replacement), '');
+                expect.fail('registrars need a signature');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AccessDeniedError);
+            }
+        });
+
+        it('should let an admin rotate without the old key but not reuse a key', async () => {
+            await contract.RotateDeviceKey(ctx, 'device-500', pem(replacement));
+            try {
+                await contract.RotateDeviceKey(ctx, 'device-500', pem(original));
+                expect.fail('old keys cannot come back');
+            } catch (error) {
+                expect(error.message).to.equal('Agent device-500 already held this key as key-1; rotate to a new key');
+            }
+            expect(ctx.stub.lastEvent('DeviceKeyRotated').payload.authorizedBy).to.equal('admin');
+        });
+
+        it('should check old messages against the key valid when they were signed', async () => {
+            await contract.RotateDeviceKey(ctx, 'device-500', pem(replacement));
+            const oldMessage = 'reading 21.5C';
+            const oldSignature = signText(original, oldMessage);
+
+            expect(await verifyAt(oldMessage, oldSignature, '2025-01-01T00:30:00Z')).to.deep.equal({
+                verificationStatus: 'approved',
+                reason: 'Signature made at 2025-01-01T00:30:00.000Z verified with key-1 of agent device-500 (Ed25519)'
+            });
+            expect((await verifyAt(oldMessage, oldSignature, '2025-01-01T01:30:00Z')).verificationStatus).to.equal('denied');
+            expect((await verifyAt(oldMessage, oldSignature, '2024-12-31T00:00:00Z')).reason).to.equal('No key of agent device-500 was valid at 2024-12-31T00:00:00.000Z');
+        });
+
+        it('should suspend on compromise and invalidate signatures made afterwards', async () => {
+            ctx.clientIdentity = registrar;
+            const result = JSON.parse(await contract.ReportKeyCompromise(ctx, 'device-500', '2025-01-01T00:45:00Z', 'Device stolen'));
+            expect(result).to.include({ state: 'suspended' });
+            expect(result.invalidatedKeys).to.deep.equal(['key-1']);
+            expect(result.keyHistory[0]).to.include({ validUntil: '2025-01-01T00:45:00.000Z', retiredReason: 'compromised' });
+
+            const message = 'unlock';
+            expect((await verifyAt(message, signText(original, message), '2025-01-01T00:30:00Z')).verificationStatus).to.equal('approved');
+            expect((await verifyAt(message, signText(original, message), '2025-01-01T00:50:00Z')).verificationStatus).to.equal('denied');
+            expect((await verifyAt(message, signText(original, message))).reason).to.equal('Agent device-500 is suspended and cannot sign messages');
+
+            const agent = JSON.parse(await contract.GetAgent(ctx, 'device-500'));
+            expect(agent.metadata).to.not.have.property('publicKey');
+            expect(agent.stateHistory[0]).to.include({ to: 'suspended', reason: 'Key compromise reported: Device stolen' });
+            expect(ctx.stub.lastEvent('DeviceKeyCompromised').payload.compromisedAt).to.equal('2025-01-01T00:45:00.000Z');
+        });
+
+        it('should recover from a compromise through an admin rotation', async () => {
+            await contract.RotateDeviceKey(ctx, 'device-500', pem(replacement));
+            // Reported late: the compromise predates the rotation, which the attacker could have signed
+            await contract.ReportKeyCompromise(ctx, 'device-500', '2025-01-01T00:10:00Z');
+            const agent = JSON.parse(await contract.GetAgent(ctx, 'device-500'));
+            expect(agent.keyHistory.map(entry => entry.validUntil)).to.deep.equal(['2025-01-01T00:10:00.000Z', '2025-01-01T01:00:00.000Z']);
+
+            const fresh = crypto.generateKeyPairSync('ed25519');
+            try {
+                await contract.RotateDeviceKey(ctx, 'device-500', pem(fresh), signText(replacement, rotationStatement('device-500', 'key-2', pem(fresh))));
+                expect.fail('compromised keys cannot sign rotations');
+            } catch (error) {
+                expect(error.message).to.include('no current key');
+            }
+            try {
+                await contract.UpdateAgentState(ctx, 'device-500', 'active');
+                expect.fail('reactivation waits for a new key');
+            } catch (error) {
+                expect(error.message).to.equal('Agent device-500 has only compromised keys; rotate its key with RotateDeviceKey first');
+            }
+            await contract.RotateDeviceKey(ctx, 'device-500', pem(fresh));
+            await contract.UpdateAgentState(ctx, 'device-500', 'active', 'Reflashed');
+            expect((await verifyAt('hello', signText(fresh, 'hello'))).reason).to.include('key-3 of agent device-500');
+        });
+
+        it('should revoke the DID keys of a compromised identity and suspend it until they are rotated', async () => {
+            const sensor = { id: 'IOT-950', type: 'iot', data: { deviceType: 'temperature', manufacturer: 'Bosch', serialNumber: 'BSH-950' } };
+            await registerActive(contract, ctx, sensor);
+            await contract.CreateDIDDocument(ctx, 'IOT-950', JSON.stringify({ verificationMethods: [{ id: 'key-1', publicKey: pem(replacement) }] }));
+            ctx.stub.txSeconds += 3600;
+            const message = 'door opened';
+            const signature = signText(replacement, message);
+            const verifyIdentity = async signedAt => JSON.parse(
+                await contract.VerifyDeviceSignature(ctx, 'IOT-950', message, signature, signedAt)).payload;
+
+            const result = JSON.parse(await contract.ReportKeyCompromise(ctx, 'IOT-950', '2025-01-01T01:30:00Z', 'Firmware dump leaked'));
+            expect(result).to.include({ identityId: 'IOT-950', did: 'did:udif:iot:IOT-950', status: 'suspended' });
+            expect(result.invalidatedKeys).to.deep.equal(['did:udif:iot:IOT-950#key-1']);
+            expect(result.keyHistory[0]).to.include({ revokedAt: '2025-01-01T01:30:00.000Z', revocationReason: 'compromised' });
+            expect((await contract.ReadIdentity(ctx, 'IOT-950')).statusHistory.slice(-1)[0]).to.include({ to: 'suspended', reasonCode: 'key_compromise' });
+
+            expect((await verifyIdentity('2025-01-01T01:15:00Z')).verificationStatus).to.equal('approved');
+            expect((await verifyIdentity('2025-01-01T01:45:00Z')).reason).to.equal('No key of did:udif:iot:IOT-950 was valid at 2025-01-01T01:45:00.000Z');
+            expect((await verifyIdentity()).reason).to.equal('Identity IOT-950 is suspended');
+
+            try {
+                await contract.ReinstateIdentity(ctx, 'IOT-950', 'dispute_resolved');
+                expect.fail('reinstatement waits for a new key');
+            } catch (error) {
+                expect(error.message).to.equal('Identity IOT-950 has compromised DID keys; add a new key with UpdateDIDDocument first');
+            }
+            const fresh = crypto.generateKeyPairSync('ed25519');
+            await contract.UpdateDIDDocument(ctx, 'did:udif:iot:IOT-950', JSON.stringify({ addVerificationMethods: [{ id: 'key-2', publicKey: pem(fresh) }] }));
+            await contract.ReinstateIdentity(ctx, 'IOT-950', 'dispute_resolved');
+            const fresher = JSON.parse(await contract.VerifyDeviceSignature(ctx, 'IOT-950', message, signText(fresh, message)));
+            expect(fresher.payload.reason).to.include('did:udif:iot:IOT-950#key-2');
+        });
+    });
+
+    describe('Contract Statistics', () => {
+        const sensor = { id: 'IOT-800', type: 'iot', data: { deviceType: 'temperature', manufacturer: 'Bosch', serialNumber: 'BSH-800' } };
+        let ctx;
+
+        beforeEach(async () => {
+            ctx = createMockContext();
+            await contract.InitLedger(ctx);
+            await enrollAgents(contract, ctx);
+        });
+
+        it('should register without reading or writing a shared stats key', async () => {
+            const reads = [];
+            const getState = ctx.stub.getState.bind(ctx.stub);
+            ctx.stub.getState = key => { reads.push(key); return getState(key); };
+            const firstWrite = ctx.stub.writes.length;
+
+            await contract.RegisterIdentity(ctx, JSON.stringify(sampleVehicle));
+            ctx.stub.txId = 'tx-0002';
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+
+            const written = ctx.stub.writes.slice(firstWrite).map(write => write.key);
+            expect(reads).to.not.include('CONTRACT_INFO');
+            expect(written).to.not.include('CONTRACT_INFO');
+            const deltas = written.filter(key => key.includes('statsDelta~day~tx~id~operation'));
+            expect(deltas).to.have.lengthOf(2);
+            expect(new Set(deltas).size).to.equal(2);
+        });
+
+        it('should report totals by type and status', async () => {
+            await registerActive(contract, ctx, sampleVehicle);
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 30000 } }));
+            await contract.SuspendIdentity(ctx, 'VEH-100', 'lost_or_stolen');
+            await contract.RevokeIdentity(ctx, 'IOT-800', 'decommissioned');
+
+            const info = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(info.totalIdentities).to.equal(2);
+            expect(info.totals).to.include({ registrations: 2, approvals: 1, updates: 1, suspensions: 1, revocations: 1, rejections: 0 });
+            expect(info.byStatus).to.deep.equal({ suspended: 1, revoked: 1 });
+            expect(info.byType.vehicle).to.include({ registrations: 1, approvals: 1, updates: 1, suspensions: 1 });
+            expect(info.byType.vehicle.byStatus).to.deep.equal({ suspended: 1 });
+            expect(info.byType.iot.byStatus).to.deep.equal({ revoked: 1 });
+            expect(info.supportedTypes).to.have.members(['vehicle', 'pet', 'iot']);
+        });
+
+        it('should count every item of a batch under its own type', async () => {
+            const batch = [sampleVehicle, sensor, { ...sensor, id: 'IOT-801', data: { ...sensor.data, serialNumber: 'BSH-801' } }];
+            await contract.RegisterIdentitiesBatch(ctx, JSON.stringify(batch));
+
+            const info = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(info.byType.vehicle.byStatus).to.deep.equal({ pending: 1 });
+            expect(info.byType.iot.byStatus).to.deep.equal({ pending: 2 });
+            expect(info.activity).to.have.lengthOf(1);
+            expect(info.activity[0]).to.include({ day: '2025-01-01', registrations: 3 });
+        });
+
+        it('should bucket activity by day', async () => {
+            await contract.RegisterIdentity(ctx, JSON.stringify(sampleVehicle));
+            ctx.stub.txSeconds += 86400 * 2;
+            ctx.stub.txId = 'tx-0002';
+            await contract.CloseProposal(ctx, 'VEH-100');
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            ctx.stub.txSeconds += 86400;
+            ctx.stub.txId = 'tx-0003';
+            await contract.RevokeIdentity(ctx, 'IOT-800', 'administrative');
+
+            const info = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(info.activity.map(day => [day.day, day.registrations, day.rejections, day.revocations])).to.deep.equal([
+                ['2025-01-01', 1, 0, 0],
+                ['2025-01-03', 1, 1, 0],
+                ['2025-01-04', 0, 0, 1]
+            ]);
+            expect(info.byStatus).to.deep.equal({ rejected: 1, revoked: 1 });
+            expect(info.totalIdentities).to.equal(1);
+            expect(info.lastActivity).to.equal('2025-01-04T00:00:00.000Z');
+        });
+
+        it('should roll up the deltas of past days without changing the totals', async () => {
+            await registerActive(contract, ctx, sampleVehicle);
+            await contract.RegisterIdentity(ctx, JSON.stringify(sensor));
+            ctx.stub.txSeconds += 86400;
+            ctx.stub.txId = 'tx-0002';
+            await contract.UpdateIdentity(ctx, 'VEH-100', JSON.stringify({ data: { mileage: 30000 } }));
+            const before = JSON.parse(await contract.GetContractInfo(ctx));
+
+            const result = JSON.parse(await contract.CompactContractStats(ctx));
+            expect(result).to.include({ beforeDay: '2025-01-02', compactedCount: 3, rollupCount: 2, remaining: false });
+            const deltaKeys = [...ctx.stub.state.keys()].filter(key => key.includes('statsDelta'));
+            expect(deltaKeys).to.have.lengthOf(1);
+
+            await contract.CompactContractStats(ctx);
+            expect(JSON.parse(await contract.GetContractInfo(ctx))).to.deep.equal(before);
+        });
+
+        it('should refuse to compact today or later', async () => {
+            try {
+                await contract.CompactContractStats(ctx, '2025-01-02');
+                expect.fail('Expected an error');
+            } catch (error) {
+                expect(error.message).to.equal('beforeDay must be a date (YYYY-MM-DD) no later than 2025-01-01');
+            }
+        });
+
+        it('should carry the counters of an older CONTRACT_INFO into the totals', async () => {
+            const info = JSON.parse(ctx.stub.state.get('CONTRACT_INFO').toString());
+            await ctx.stub.putState('CONTRACT_INFO', Buffer.from(JSON.stringify({ ...info, totalIdentities: 40, totalUpdates: 7 })));
+            await registerActive(contract, ctx, sampleVehicle);
+
+            const result = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(result.totalIdentities).to.equal(41);
+            expect(result.totals).to.include({ registrations: 41, updates: 7, approvals: 1 });
+            expect(result.byType.vehicle.registrations).to.equal(1);
+        });
+
+        it('should count identities registered before the deltas by type and status', async () => {
+            const info = JSON.parse(ctx.stub.state.get('CONTRACT_INFO').toString());
+            await ctx.stub.putState('CONTRACT_INFO', Buffer.from(JSON.stringify({ ...info, totalIdentities: 2, totalSuspensions: 0 })));
+            await ctx.stub.putState('VEH-LEGACY', Buffer.from(JSON.stringify({ ...sampleVehicle, id: 'VEH-LEGACY', status: 'active', version: 1 })));
+            await ctx.stub.putState('IOT-LEGACY', Buffer.from(JSON.stringify({ ...sensor, id: 'IOT-LEGACY', status: 'active', version: 1 })));
+            await contract.MigrateIdentityKeys(ctx);
+
+            await contract.SuspendIdentity(ctx, 'VEH-LEGACY', 'lost_or_stolen');
+            let result = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(result.byStatus).to.deep.equal({ suspended: 1 });
+            expect(result.byType.vehicle).to.include({ registrations: 1, suspensions: 1 });
+            expect(result.byType.vehicle.byStatus).to.deep.equal({ suspended: 1 });
+
+            ctx.stub.txId = 'tx-0002';
+            expect(JSON.parse(await contract.MigrateContractStats(ctx))).to.include({ countedCount: 1, remaining: false });
+            ctx.stub.txId = 'tx-0003';
+            expect(JSON.parse(await contract.MigrateContractStats(ctx))).to.include({ countedCount: 0 });
+
+            result = JSON.parse(await contract.GetContractInfo(ctx));
+            expect(result.totalIdentities).to.equal(2);
+            expect(result.byStatus).to.deep.equal({ active: 1, suspended: 1 });
+            expect(result.byType.iot).to.include({ registrations: 1 });
+            expect(result.byType.iot.byStatus).to.deep.equal({ active: 1 });
+            const counts = [result.byStatus, result.byType.vehicle, result.byType.vehicle.byStatus, result.byType.iot.byStatus]
+                .flatMap(group => Object.values(group).filter(value => typeof value === 'number'));
+            expect(counts.every(count => count >= 0)).to.be.true;
+        });
+    });
 });
@@ -0,0 +1,277 @@
+'use strict';
+
+const COMPOSITE_KEY_NAMESPACE = '\u0000';
+
+// In-memory stand-in for the Fabric transaction context, enough to exercise
+// the contract's transactions without a peer. As on a peer, a transaction reads
+// committed state only; its writes are buffered and applied when it commits.
+class MockStub {
+    constructor(state) {
+        this.state = state || new Map();
+        this.pending = null;
+        this.events = [];
+        this.writes = [];
+        this.history = new Map();
+        this.txId = 'tx-0001';
+        this.txSeconds = 1735689600; // 2025-01-01T00:00:00Z
+        this.transient = new Map();
+        this.privateData = new Map();
+        this.peerMspId = 'Org1MSP';
+    }
+
+    async getState(key) {
+        return this.state.get(key) || Buffer.from('');
+    }
+
+    async putState(key, value) {
+        this.writes.push({ key, value: Buffer.from(value).toString(), isDelete: false });
+        this.stage(() => {
+            this.state.set(key, Buffer.from(value));
+            this.recordHistory(key, Buffer.from(value), false);
+        });
+    }
+
+    async deleteState(key) {
+        this.writes.push({ key, value: '', isDelete: true });
+        this.stage(() => {
+            this.state.delete(key);
+            this.recordHistory(key, Buffer.from(''), true);
+        });
+    }
+
+    // Outside a transaction (test setup) writes apply at once
+    stage(apply) {
+        if (this.pending) {
+            this.pending.push(apply);
+        } else {
+            apply();
+        }
+    }
+
+    beginTransaction() {
+        this.pending = [];
+    }
+
+    commit() {
+        const pending = this.pending || [];
+        this.pending = null;
+        pending.forEach(apply => apply());
+    }
+
+    rollback() {
+        this.pending = null;
+    }
+
+    recordHistory(key, value, isDelete) {
+        const entries = this.history.get(key) || [];
+        entries.push({ txId: this.txId, timestamp: this.getTxTimestamp(), isDelete, value });
+        this.history.set(key, entries);
+    }
+
+    // Like the peer, history comes back newest first
+    async getHistoryForKey(key) {
+        return this.iterate([...(this.history.get(key) || [])].reverse());
+    }
+
+    setEvent(name, payload) {
+        this.events.push({ name, payload: JSON.parse(payload.toString()) });
+    }
+
+    // Private data is kept apart from world state, one map per collection
+    async getPrivateData(collection, key) {
+        return (this.privateData.get(collection) || new Map()).get(key) || Buffer.from('');
+    }
+
+    async putPrivateData(collection, key, value) {
+        this.stage(() => {
+            if (!this.privateData.has(collection)) this.privateData.set(collection, new Map());
+            this.privateData.get(collection).set(key, Buffer.from(value));
+        });
+    }
+
+    async deletePrivateData(collection, key) {
+        this.stage(() => (this.privateData.get(collection) || new Map()).delete(key));
+    }
+
+    setTransient(name, value) {
+        this.transient.set(name, Buffer.from(JSON.stringify(value)));
+    }
+
+    getTransient() {
+        return this.transient;
+    }
+
+    getMspID() {
+        return this.peerMspId;
+    }
+
+    getTxID() {
+        return this.txId;
+    }
+
+    getTxTimestamp() {
+        const seconds = this.txSeconds;
+        return { seconds: { low: seconds, high: 0, toNumber: () => seconds }, nanos: 0 };
+    }
+
+    // Like the peer, plain range queries never see composite keys
+    async getStateByRange(startKey, endKey) {
+        const keys = [...this.state.keys()]
+            .filter(key => !key.startsWith(COMPOSITE_KEY_NAMESPACE))
+            .filter(key => (!startKey || key >= startKey) && (!endKey || key < endKey))
+            .sort();
+        return this.iterate(keys.map(key => ({ key, value: this.state.get(key) })));
+    }
+
+    createCompositeKey(objectType, attributes) {
+        return COMPOSITE_KEY_NAMESPACE + objectType + COMPOSITE_KEY_NAMESPACE
+            + attributes.map(attribute => attribute + COMPOSITE_KEY_NAMESPACE).join('');
+    }
+
+    splitCompositeKey(compositeKey) {
+        const parts = compositeKey.split(COMPOSITE_KEY_NAMESPACE).slice(1, -1);
+        return { objectType: parts[0], attributes: parts.slice(1) };
+    }
+
+    async getStateByPartialCompositeKey(objectType, attributes) {
+        const prefix = this.createCompositeKey(objectType, attributes);
+        const keys = [...this.state.keys()].filter(key => key.startsWith(prefix)).sort();
+        return this.iterate(keys.map(key => ({ key, value: this.state.get(key) })));
+    }
+
+    // Bookmarks are the last key returned, which is close enough to the peer's opaque value
+    async getStateByPartialCompositeKeyWithPagination(objectType, attributes, pageSize, bookmark) {
+        const prefix = this.createCompositeKey(objectType, attributes);
+        const keys = [...this.state.keys()]
+            .filter(key => key.startsWith(prefix) && (!bookmark || key > bookmark))
+            .sort()
+            .slice(0, pageSize);
+        return {
+            iterator: this.iterate(keys.map(key => ({ key, value: this.state.get(key) }))),
+            metadata: { fetchedRecordsCount: keys.length, bookmark: keys.length ? keys[keys.length - 1] : bookmark }
+        };
+    }
+
+    // Enough of CouchDB's selector language for the contract's guarded queries
+    async getQueryResult(queryString) {
+        return this.iterate(this.runQuery(queryString));
+    }
+
+    async getQueryResultWithPagination(queryString, pageSize, bookmark) {
+        const matches = this.runQuery(queryString).filter(record => !bookmark || record.key > bookmark).slice(0, pageSize);
+        return {
+            iterator: this.iterate(matches),
+            metadata: { fetchedRecordsCount: matches.length, bookmark: matches.length ? matches[matches.length - 1].key : bookmark }
+        };
+    }
+
+    runQuery(queryString) {
+        const { selector } = JSON.parse(queryString);
+        return [...this.state.keys()].sort()
+            .map(key => ({ key, value: this.state.get(key) }))
+            .filter(record => {
+                try {
+                    return matchesSelector(JSON.parse(record.value.toString()), selector);
+                } catch (parseError) {
+                    return false;
+                }
+            });
+    }
+
+    iterate(records) {
+        let index = 0;
+        return {
+            next: async () => (index < records.length
+                ? { value: records[index++], done: false }
+                : { value: undefined, done: true }),
+            close: async () => {}
+        };
+    }
+
+    lastEvent(name) {
+        return [...this.events].reverse().find(event => event.name === name);
+    }
+}
+
+function matchesSelector(doc, selector) {
+    return Object.entries(selector).every(([field, condition]) => {
+        if (field === '$and') return condition.every(sub => matchesSelector(doc, sub));
+        if (field === '$or') return condition.some(sub => matchesSelector(doc, sub));
+        const actual = field.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+        if (condition === null || typeof condition !== 'object') return actual === condition;
+        return Object.entries(condition).every(([operator, expected]) => {
+            switch (operator) {
+                case '$eq': return actual === expected;
+                case '$ne': return actual !== expected;
+                case '$gt': return actual > expected;
+                case '$gte': return actual >= expected;
+                case '$lt': return actual < expected;
+                case '$lte': return actual <= expected;
+                case '$in': return expected.includes(actual);
+                default: throw new Error(`Unsupported operator ${operator}`);
+            }
+        });
+    });
+}
+
+class MockClientIdentity {
+    constructor(mspId = 'Org1MSP', id = 'x509::/CN=registrar::/CN=ca', attributes = {}) {
+        this.mspId = mspId;
+        this.id = id;
+        this.attributes = attributes;
+    }
+
+    getMSPID() {
+        return this.mspId;
+    }
+
+    getID() {
+        return this.id;
+    }
+
+    getAttributeValue(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    assertAttributeValue(name, value) {
+        return this.getAttributeValue(name) === value;
+    }
+}
+
+// Calls the contract the way the peer does: every transaction runs against
+// committed state and its writes are committed only if it succeeds. Helpers
+// (underscore-prefixed) and nested calls run inside the caller's transaction.
+function asPeer(contract) {
+    return new Proxy(contract, {
+        get(target, name) {
+            const member = target[name];
+            if (typeof member !== 'function' || typeof name !== 'string' || name.startsWith('_')) {
+                return member;
+            }
+            return (ctx, ...args) => {
+                const stub = ctx && ctx.stub;
+                if (!(stub instanceof MockStub) || stub.pending) {
+                    return member.call(target, ctx, ...args);
+                }
+                stub.beginTransaction();
+                return Promise.resolve()
+                    .then(() => member.call(target, ctx, ...args))
+                    .then(result => {
+                        stub.commit();
+                        return result;
+                    }, error => {
+                        stub.rollback();
+                        throw error;
+                    });
+            };
+        }
+    });
+}
+
+// Unless a test says otherwise, the caller is a registrar who also administers the contract
+function createMockContext(state, clientIdentity) {
+    const caller = clientIdentity || new MockClientIdentity('Org1MSP', 'x509::/CN=registrar::/CN=ca', { role: 'registrar,admin' });
+    return { stub: new MockStub(state), clientIdentity: caller };
+}
+
+module.exports = { MockStub, MockClientIdentity, createMockContext, asPeer };
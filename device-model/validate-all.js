@@ -4,6 +4,8 @@ const fs = require("fs");
 
 const ajv = new Ajv({ allErrors: true });
 addFormats(ajv);
+// Custom messages used by the identity schemas (ajv-errors convention, also read by the chaincode validator)
+ajv.addKeyword("errorMessage");
 
 function validate(schemaFile, dataFile) {
   const schema = JSON.parse(fs.readFileSync(schemaFile, "utf8"));
@@ -24,4 +26,7 @@ function validate(schemaFile, dataFile) {
 validate("identity-request-schema.json", "identity-request-template.json");
 validate("identity-verification-schema.json", "identity-verification-template.json");
 validate("register-maintenance-event-schema.json", "register-maintenance-event-template.json");
-
+validate("vehicle-identity-schema.json", "vehicle-identity-template.json");
+validate("pet-identity-schema.json", "pet-identity-template.json");
+validate("iot-identity-schema.json", "iot-identity-template.json");
+validate("device-identity-schema.json", "sample-device.json");
@@ -4,6 +4,9 @@ const cors = require('cors');
 const axios = require('axios');
 const path = require('path');
 const crypto = require('crypto');
+// The chaincode hashes credentials for the ledger; signing and verifying here
+// must canonicalize exactly the same way
+const { canonicalJson, hashCredential } = require('./credential-hash');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -26,6 +29,49 @@ const KALEIDO_CONFIG = {
     }
 };
 
+// Invoke a chaincode transaction through the Kaleido REST gateway and return
+// its result, decoding the JSON strings the contract returns
+// transient entries are JSON-encoded into the proposal's transient map, which
+// the chaincode reads but the ledger never records (owner PII, for one)
+async function invokeChaincode(method, args = [], transient = null) {
+    const data = {
+        "method": method,
+        "args": args
+    };
+    if (transient) {
+        data.transientMap = {};
+        for (const [key, value] of Object.entries(transient)) {
+            data.transientMap[key] = JSON.stringify(value);
+        }
+    }
+
+    let response;
+    try {
+        response = await axios({
+            ...KALEIDO_CONFIG,
+            method: 'POST',
+            url: `${process.env.KALEIDO_API_URL}/invoke`,
+            data
+        });
+    } catch (error) {
+        // Surface the chaincode's own message; access-denied errors become 403s
+        const body = error.response && error.response.data;
+        const message = (body && (body.error || body.message)) || error.message;
+        const ledgerError = new Error(typeof message === 'string' ? message : JSON.stringify(message));
+        ledgerError.status = ledgerError.message.includes('ACCESS_DENIED') ? 403 : 500;
+        throw ledgerError;
+    }
+
+    if (typeof response.data === 'string') {
+        try {
+            return JSON.parse(response.data);
+        } catch (parseError) {
+            return response.data;
+        }
+    }
+    return response.data;
+}
+
 // ============================================================================
 // 🤖 MULTI-AGENT COORDINATION SYSTEM
 // ============================================================================
@@ -1494,6 +1540,13 @@ class DigitalTwinManager {
         return this.vehicleTwins.size + this.petTwins.size + this.iotTwins.size;
     }
 
+    // Twins are keyed by VIN, pet id or device id; a vehicle twin created for a
+    // ledger identity also records that id in its metadata
+    findTwinForIdentity(identityId) {
+        return this.getAllTwins().find(twin =>
+            twin.id === identityId || (twin.metadata && twin.metadata.identityId === identityId)) || null;
+    }
+
     authenticateVIN(vin) {
         const validation = this.vinAuthenticator.validateVIN(vin);
         const authentication = this.vinAuthenticator.generateSignature(vin);
@@ -1536,6 +1589,140 @@ class DigitalTwinManager {
     }
 }
 
+// ============================================================================
+// 🎫 VERIFIABLE CREDENTIAL SERVICE
+// ============================================================================
+
+// Builds and signs W3C Verifiable Credentials for registered identities. The
+// chaincode's IssueCredential assigns the status-list entry and anchors the hash
+// of the unsigned credential; the proof is a detached Ed25519 JWS over the same
+// sorted-key JSON the chaincode hashes.
+class CredentialService {
+    constructor() {
+        this.issuer = process.env.VC_ISSUER_DID || 'did:udif:issuer:dashboard';
+        this.verificationMethod = `${this.issuer}#key-1`;
+
+        if (process.env.VC_ISSUER_PRIVATE_KEY) {
+            this.privateKey = crypto.createPrivateKey(process.env.VC_ISSUER_PRIVATE_KEY);
+        } else {
+            // Credentials signed with a generated key stop verifying after a restart
+            console.warn('⚠️ VC_ISSUER_PRIVATE_KEY not set - using an ephemeral issuer key');
+            this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+        }
+        this.publicKey = crypto.createPublicKey(this.privateKey);
+    }
+
+    hash(credential) {
+        return hashCredential(credential);
+    }
+
+    buildCredential(identity) {
+        const typeName = identity.type.charAt(0).toUpperCase() + identity.type.slice(1);
+        return {
+            '@context': ['https://www.w3.org/2018/credentials/v1'],
+            id: `urn:uuid:${crypto.randomUUID()}`,
+            type: ['VerifiableCredential', `${typeName}IdentityCredential`],
+            issuer: this.issuer,
+            credentialSubject: {
+                id: `did:udif:${identity.type}:${identity.id}`,
+                identityId: identity.id,
+                identityType: identity.type,
+                registrationTime: identity.registrationTime,
+                claims: identity.data
+            }
+        };
+    }
+
+    sign(credential) {
+        const header = Buffer.from(JSON.stringify({ alg: 'EdDSA' })).toString('base64url');
+        const payload = Buffer.from(canonicalJson(credential)).toString('base64url');
+        const signature = crypto.sign(null, Buffer.from(`${header}.${payload}`), this.privateKey);
+
+        return {
+            ...credential,
+            proof: {
+                type: 'JsonWebSignature2020',
+                created: new Date().toISOString(),
+                verificationMethod: this.verificationMethod,
+                proofPurpose: 'assertionMethod',
+                jws: `${header}..${signature.toString('base64url')}`
+            }
+        };
+    }
+
+    verifySignature(credential) {
+        const { proof, ...unsigned } = credential;
+        if (!proof || !proof.jws) {
+            return { valid: false, reason: 'Credential has no proof' };
+        }
+        if (proof.verificationMethod !== this.verificationMethod) {
+            return { valid: false, reason: `Unknown verification method ${proof.verificationMethod}` };
+        }
+
+        const [header, , signature] = proof.jws.split('.');
+        // The proof signs the credential as issued, so its own fields are excluded
+        const payload = Buffer.from(canonicalJson(unsigned)).toString('base64url');
+        try {
+            const valid = crypto.verify(null, Buffer.from(`${header}.${payload}`), this.publicKey, Buffer.from(signature || '', 'base64url'));
+            return { valid, reason: valid ? 'Signature matches the issuer key' : 'Signature does not match the credential' };
+        } catch (error) {
+            return { valid: false, reason: `Malformed proof: ${error.message}` };
+        }
+    }
+}
+
+// ============================================================================
+// 🔐 DEVICE CHALLENGE SERVICE
+// ============================================================================
+
+// Single-use nonces for challenge-response device authentication. The device
+// signs the nonce with the private key behind its registered public key and
+// sends the base64 signature as the credentials of an IdentityRequest; the
+// chaincode's VerifyDeviceSignature checks it. Nonces are kept in memory, so a
+// restart invalidates open challenges.
+class DeviceChallengeService {
+    constructor(ttlMs = 2 * 60 * 1000) {
+        this.ttlMs = ttlMs;
+        this.challenges = new Map(); // deviceId -> { nonce, expiresAt }
+    }
+
+    // A new challenge replaces any open one for the same device. Anyone may ask
+    // for one, so refusing while one is open would let them lock the device out;
+    // a device whose nonce was replaced simply asks again.
+    issue(deviceId) {
+        this.purgeExpired();
+        const nonce = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.ttlMs;
+        this.challenges.set(deviceId, { nonce, expiresAt });
+        return { deviceId, nonce, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    // Each nonce answers one request, whether or not the signature checks out
+    take(deviceId) {
+        const challenge = this.challenges.get(deviceId);
+        this.challenges.delete(deviceId);
+        return challenge && challenge.expiresAt >= Date.now() ? challenge.nonce : null;
+    }
+
+    purgeExpired() {
+        const now = Date.now();
+        for (const [deviceId, challenge] of this.challenges) {
+            if (challenge.expiresAt < now) this.challenges.delete(deviceId);
+        }
+    }
+
+    // IdentityVerification for requests that never reach the ledger
+    deny(deviceId, reason) {
+        return {
+            type: 'IdentityVerification',
+            from: 'identityCoordinator',
+            to: deviceId,
+            timestamp: new Date().toISOString(),
+            payload: { verificationStatus: 'denied', reason }
+        };
+    }
+}
+
 // ============================================================================
 // 🚀 INITIALIZE SYSTEMS
 // ============================================================================
@@ -1544,6 +1731,8 @@ class DigitalTwinManager {
 const multiAgentCoordinator = new MultiAgentCoordinator();
 const explainableEngine = new ExplainableDecisionEngine();  // NEW: Critical for academic evaluation
 const digitalTwinManager = new DigitalTwinManager();
+const credentialService = new CredentialService();
+const deviceChallengeService = new DeviceChallengeService();
 
 // Debug logging
 console.log('🚀 Universal Identity API Server starting...');
@@ -2091,11 +2280,11 @@ app.get('/api/twin/:vin/diagnostic', async (req, res) => {
     }
 });
 
-// Add maintenance record
+// Add maintenance record, anchored on the ledger as a RegisterMaintenanceEvent message
 app.post('/api/twin/:vin/maintenance', async (req, res) => {
     try {
         const { vin } = req.params;
-        const { type, description, cost, mileage } = req.body;
+        const { type, description, cost, mileage, eventType, oldVersion, newVersion, performedBy, identityId } = req.body;
         const digitalTwin = digitalTwinManager.getDigitalTwin(vin);
         
         if (!digitalTwin) {
@@ -2106,25 +2295,90 @@ app.post('/api/twin/:vin/maintenance', async (req, res) => {
             });
         }
 
+        if (!eventType || !oldVersion || !newVersion || !performedBy) {
+            return res.status(400).json({
+                success: false,
+                error: 'eventType, oldVersion, newVersion and performedBy are required',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // The twin is keyed by VIN; the ledger by identity id
+        let ledgerIdentityId = identityId || digitalTwin.metadata.identityId;
+        if (!ledgerIdentityId) {
+            const matches = await invokeChaincode('QueryIdentities', [JSON.stringify({ type: 'vehicle', 'data.vin': vin })]);
+            ledgerIdentityId = matches.identities && matches.identities.length ? matches.identities[0].id : null;
+        }
+        if (!ledgerIdentityId) {
+            return res.status(404).json({
+                success: false,
+                error: `No ledger identity registered for VIN ${vin}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const eventMessage = {
+            type: 'RegisterMaintenanceEvent',
+            from: digitalTwin.twinId,
+            timestamp: new Date().toISOString(),
+            payload: { eventType, oldVersion, newVersion, performedBy }
+        };
+        // Only a reading taken by the workshop feeds the ledger's odometer log, never the simulated one
+        const maintenanceArgs = [ledgerIdentityId, JSON.stringify(eventMessage)];
+        if (mileage !== undefined) maintenanceArgs.push(String(mileage));
+        const ledgerResult = await invokeChaincode('RecordMaintenanceEvent', maintenanceArgs);
+
         const maintenanceRecord = {
-            type: type || 'General Service',
+            type: type || eventType,
             description: description || 'Routine maintenance',
             cost: cost || 0,
-            mileage: mileage || digitalTwin.currentState.mileage
+            mileage: mileage || digitalTwin.currentState.mileage,
+            eventType,
+            oldVersion,
+            newVersion,
+            performedBy,
+            identityId: ledgerIdentityId,
+            ledgerSequence: ledgerResult.sequence
         };
 
         digitalTwin.addMaintenanceRecord(maintenanceRecord);
 
         res.json({
             success: true,
-            message: 'Maintenance record added successfully',
+            message: 'Maintenance record added and anchored on the ledger',
             record: maintenanceRecord,
+            trace: ledgerResult.trace,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('Add maintenance record error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Odometer log recorded on the ledger for a VIN, including flagged rollbacks
+app.get('/api/twin/:vin/mileage', async (req, res) => {
+    try {
+        const { vin } = req.params;
+        const ledgerResult = await invokeChaincode('GetMileageHistory', [vin]);
+
+        res.json({
+            success: true,
+            vin,
+            highestMileage: ledgerResult.highestMileage,
+            flaggedCount: ledgerResult.flaggedCount,
+            entries: ledgerResult.entries || [],
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Mileage history error:', error);
+        res.status(error.status || 500).json({
             success: false,
             error: error.message,
             timestamp: new Date().toISOString()
@@ -2621,52 +2875,34 @@ app.post('/api/identity/register', async (req, res) => {
             id, type, metadata: metadata || {}
         });
         
-        // Step 2: If agents approve, proceed with blockchain registration
+        // Step 2: If agents approve, proceed with blockchain registration. Fields the
+        // type keeps private (owner, ownerContact, ...) go in the transient map
         if (coordinationResult.finalDecision === 'APPROVED') {
-            try {
-                const response = await axios({
-                    ...KALEIDO_CONFIG,
-                    method: 'POST',
-                    url: `${process.env.KALEIDO_API_URL}/invoke`,
-                    data: {
-                        "method": "RegisterIdentity",
-                        "args": [id, type, JSON.stringify(metadata || {})]
-                    }
-                });
-                
-                console.log('✅ Identity registered successfully on blockchain after agent approval');
-                
-                res.json({
-                    success: true,
-                    message: 'Identity registered successfully with multi-agent approval',
-                    identity: { id, type, metadata: metadata || {} },
-                    transactionId: response.data.transactionId || 'unknown',
-                    multiAgentCoordination: {
-                        coordinationId: coordinationResult.coordinationId,
-                        agentConsensus: coordinationResult.consensus,
-                        processingTime: coordinationResult.processingTime
-                    },
-                    timestamp: new Date().toISOString()
-                });
-                
-            } catch (blockchainError) {
-                console.error('Blockchain registration failed:', blockchainError.message);
-                
-                // Even if blockchain fails, we show the multi-agent coordination worked
-                res.json({
-                    success: true,
-                    message: 'Multi-agent coordination completed successfully (blockchain simulation)',
-                    identity: { id, type, metadata: metadata || {} },
-                    transactionId: `demo-tx-${Date.now()}`,
-                    multiAgentCoordination: {
-                        coordinationId: coordinationResult.coordinationId,
-                        agentConsensus: coordinationResult.consensus,
-                        processingTime: coordinationResult.processingTime
-                    },
-                    note: 'Blockchain connection simulated for demo',
-                    timestamp: new Date().toISOString()
-                });
-            }
+            const identity = { id, type, data: { ...(metadata || {}) } };
+            const privateDetails = await separatePrivateDetails([identity]);
+            const ledgerResult = await invokeChaincode('RegisterIdentity', [JSON.stringify(identity)],
+                privateDetails && { privateDetails: privateDetails[id] });
+
+            console.log(`⏳ Identity ${id} recorded on blockchain as ${ledgerResult.status}; agents vote until ${ledgerResult.votingDeadline}`);
+
+            // The identity stays pending until on-chain agents approve it (GET /api/identity/:id/proposal)
+            res.status(202).json({
+                success: true,
+                message: `Identity submitted; it stays ${ledgerResult.status} until agents approve it on the ledger`,
+                identity: { id, type, metadata: identity.data },
+                status: ledgerResult.status,
+                proposal: {
+                    votingDeadline: ledgerResult.votingDeadline,
+                    eligibleAgents: ledgerResult.eligibleAgents
+                },
+                transactionId: ledgerResult.transactionId,
+                multiAgentCoordination: {
+                    coordinationId: coordinationResult.coordinationId,
+                    agentConsensus: coordinationResult.consensus,
+                    processingTime: coordinationResult.processingTime
+                },
+                timestamp: new Date().toISOString()
+            });
         } else {
             // Agents rejected the identity
             res.status(400).json({
@@ -2685,7 +2921,7 @@ app.post('/api/identity/register', async (req, res) => {
     } catch (error) {
         console.error('❌ Failed to register identity:', error.message);
         
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to register identity',
             details: error.message,
@@ -2694,6 +2930,166 @@ app.post('/api/identity/register', async (req, res) => {
     }
 });
 
+// Minimal RFC 4180 reader: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Registered definitions of the given types; unknown types map to null and are
+// left for the chaincode to reject
+async function getTypeDefinitions(types) {
+    const definitions = {};
+    for (const type of new Set(types)) {
+        definitions[type] = await invokeChaincode('GetIdentityType', [type]).catch(() => null);
+    }
+    return definitions;
+}
+
+// CSV rows become identities: id and type columns, every other column is a data
+// field. Values are typed with the identity type's registered schema, so a
+// numeric-looking microchip ID stays a string while year and mileage become numbers.
+async function csvToIdentities(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.includes('id') || !header.includes('type')) {
+        const error = new Error('CSV needs a header row with id and type columns');
+        error.status = 400;
+        throw error;
+    }
+
+    const definitions = await getTypeDefinitions(rows.map(cells => cells[header.indexOf('type')]));
+    const schemas = {};
+    for (const [type, definition] of Object.entries(definitions)) {
+        schemas[type] = (definition && definition.schema && definition.schema.properties) || {};
+    }
+
+    return rows.map(cells => {
+        const identity = { data: {} };
+        header.forEach((column, index) => {
+            const value = (cells[index] || '').trim();
+            if (column === 'id' || column === 'type') {
+                identity[column] = value;
+                return;
+            }
+            if (value === '') return;
+            const property = schemas[cells[header.indexOf('type')]][column] || {};
+            if (property.type === 'integer' || property.type === 'number') {
+                identity.data[column] = Number(value);
+            } else if (property.type === 'boolean') {
+                identity.data[column] = value === 'true';
+            } else {
+                identity.data[column] = value;
+            }
+        });
+        return identity;
+    });
+}
+
+// Moves the fields each type keeps private (owner, ownerContact, ...) out of the
+// public data into the per-id transient privateDetails map RegisterIdentitiesBatch
+// reads: { <identity id>: { ...fields, salt } }. Single-identity transactions take
+// their own entry. Returns null when no item has any.
+async function separatePrivateDetails(identities) {
+    const definitions = await getTypeDefinitions(identities.map(identity => identity && identity.type));
+    const privateDetails = {};
+    for (const identity of identities) {
+        const definition = identity && definitions[identity.type];
+        if (!definition || !identity.data) continue;
+        const fields = {};
+        for (const field of definition.privateFields || []) {
+            if (Object.prototype.hasOwnProperty.call(identity.data, field)) {
+                fields[field] = identity.data[field];
+                delete identity.data[field];
+            }
+        }
+        if (Object.keys(fields).length > 0) {
+            privateDetails[identity.id] = { ...fields, salt: crypto.randomBytes(16).toString('hex') };
+        }
+    }
+    return Object.keys(privateDetails).length > 0 ? privateDetails : null;
+}
+
+// Register many identities in one transaction. JSON: { mode, identities: [...] };
+// CSV (Content-Type: text/csv): header row with id, type and data columns, mode in ?mode=.
+// mode is atomic (default, all or nothing) or bestEffort.
+app.post('/api/identity/register/batch', express.text({ type: ['text/csv', 'application/csv'], limit: '2mb' }), async (req, res) => {
+    try {
+        let identities;
+        let mode = req.query.mode;
+        if (typeof req.body === 'string') {
+            identities = await csvToIdentities(req.body);
+        } else {
+            identities = Array.isArray(req.body) ? req.body : req.body.identities;
+            mode = mode || req.body.mode;
+        }
+
+        if (!Array.isArray(identities) || identities.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'identities must be a non-empty array (or send text/csv)'
+            });
+        }
+
+        console.log(`📦 Registering batch of ${identities.length} identities (${mode || 'atomic'})`);
+        const privateDetails = await separatePrivateDetails(identities);
+        const ledgerResult = await invokeChaincode('RegisterIdentitiesBatch', [JSON.stringify(identities), mode || 'atomic'],
+            privateDetails && { privateDetails });
+
+        // 207 when some items were registered and others rejected
+        const status = ledgerResult.success ? 200 : ledgerResult.registeredCount > 0 ? 207 : 400;
+        res.status(status).json({
+            success: ledgerResult.success,
+            mode: ledgerResult.mode,
+            registeredCount: ledgerResult.registeredCount,
+            rejectedCount: ledgerResult.rejectedCount,
+            results: ledgerResult.results,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to register batch:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to register batch',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 // ============================================================================
 // 🎯 DEMO HELPER FUNCTIONS (Enhanced with Digital Twin)
 // ============================================================================
@@ -2983,24 +3379,29 @@ async function demonstrateMQTTProtocol() {
 
 app.get('/api/identity/list', async (req, res) => {
     try {
-        console.log('🔍 Querying all identities from Kaleido network...');
-        
-        const response = await axios({
-            ...KALEIDO_CONFIG,
-            method: 'POST',
-            url: `${process.env.KALEIDO_API_URL}/invoke`,
-            data: {
-                "method": "GetAllIdentities",
-                "args": []
-            }
-        });
+        const { type, pageSize, bookmark } = req.query;
+        console.log(`🔍 Querying ${type ? `${type} ` : 'all '}identities from Kaleido network...`);
+
+        // Paginated when pageSize is given; the returned bookmark fetches the next page
+        const pageArgs = pageSize ? [String(pageSize), bookmark || ''] : [];
+        const ledgerResult = type
+            ? await invokeChaincode('GetIdentitiesByType', [type, ...pageArgs])
+            : await invokeChaincode('GetAllIdentities', pageArgs);
+        const identities = Array.isArray(ledgerResult) ? ledgerResult : (ledgerResult && ledgerResult.identities) || [];
         
         console.log('✅ Successfully retrieved identities from chaincode');
         
         res.json({
             success: true,
-            identities: response.data || [],
-            count: Array.isArray(response.data) ? response.data.length : 0,
+            identities,
+            count: identities.length,
+            type: type || 'all',
+            pagination: pageSize ? {
+                pageSize: ledgerResult.pageSize,
+                bookmark: ledgerResult.bookmark,
+                fetchedRecordsCount: ledgerResult.fetchedRecordsCount,
+                hasMore: ledgerResult.hasMore
+            } : null,
             timestamp: new Date().toISOString(),
             network: 'Kaleido Hyperledger Fabric',
             multiAgentSystem: 'enabled'
@@ -3009,7 +3410,7 @@ app.get('/api/identity/list', async (req, res) => {
     } catch (error) {
         console.error('❌ Failed to query identities:', error.message);
         
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to query identities from blockchain',
             details: error.message,
@@ -3018,144 +3419,352 @@ app.get('/api/identity/list', async (req, res) => {
     }
 });
 
-// Get specific identity
-app.get('/api/identity/:id', async (req, res) => {
+// Search identities on the ledger (CouchDB rich query). Declared before
+// /api/identity/:id so "search" is not taken for an identity id.
+app.get('/api/identity/search', async (req, res) => {
     try {
-        const { id } = req.params;
-        console.log(`🔍 Querying identity: ${id}`);
-        
-        const response = await axios({
-            ...KALEIDO_CONFIG,
-            method: 'POST',
-            url: `${process.env.KALEIDO_API_URL}/invoke`,
-            data: {
-                "method": "GetIdentity",
-                "args": [id]
-            }
-        });
+        const { type, make, owner, manufacturer, status, from, to, health, pageSize, bookmark } = req.query;
         
-        if (response.data) {
-            res.json({
-                success: true,
-                identity: response.data,
-                timestamp: new Date().toISOString()
-            });
-        } else {
-            res.status(404).json({
+        console.log(`🔍 Searching identities with filters: type=${type}, make=${make}, owner=${owner}, manufacturer=${manufacturer}, status=${status}`);
+
+        const selector = {};
+        if (type) selector.type = type;
+        if (status) selector.status = status;
+        if (make) selector['data.make'] = make;
+        if (manufacturer) selector['data.manufacturer'] = manufacturer;
+        const invalidDates = [['from', from], ['to', to]].filter(([, value]) => value && Number.isNaN(Date.parse(value)));
+        if (invalidDates.length > 0) {
+            return res.status(400).json({
                 success: false,
-                error: 'Identity not found',
-                timestamp: new Date().toISOString()
+                error: `${invalidDates.map(([name]) => name).join(' and ')} must be ISO 8601 dates`
+            });
+        }
+        if (from || to) {
+            selector.registrationTime = {};
+            if (from) selector.registrationTime.$gte = new Date(from).toISOString();
+            // A date-only to (2025-01-31) includes that whole day
+            if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+                selector.registrationTime.$lt = new Date(Date.parse(to) + 24 * 60 * 60 * 1000).toISOString();
+            } else if (to) {
+                selector.registrationTime.$lte = new Date(to).toISOString();
+            }
+        }
+
+        const pageArgs = pageSize ? [String(pageSize), bookmark || ''] : [];
+        const ledgerResult = await invokeChaincode('QueryIdentities', [JSON.stringify(selector), ...pageArgs]);
+        const results = (ledgerResult && ledgerResult.identities) || [];
+
+        // Live digital twins matching the same type/owner, with optional health filter.
+        // Owners are private data on the ledger, so owner narrows only the twins.
+        let digitalTwins = digitalTwinManager.getAllTwins();
+        if (type) {
+            digitalTwins = digitalTwins.filter(twin => twin.type === type);
+        }
+        if (owner) {
+            digitalTwins = digitalTwins.filter(twin => 
+                twin.metadata.owner && twin.metadata.owner.toLowerCase().includes(owner.toLowerCase())
+            );
+        }
+        if (health) {
+            digitalTwins = digitalTwins.filter(twin => {
+                if (health === 'healthy') return twin.healthScore > 80;
+                if (health === 'warning') return twin.healthScore > 50 && twin.healthScore <= 80;
+                if (health === 'critical') return twin.healthScore <= 50;
+                return true;
             });
         }
         
+        res.json({
+            success: true,
+            results,
+            totalResults: results.length,
+            pagination: pageSize ? {
+                pageSize: ledgerResult.pageSize,
+                bookmark: ledgerResult.bookmark,
+                fetchedRecordsCount: ledgerResult.fetchedRecordsCount,
+                hasMore: ledgerResult.hasMore
+            } : null,
+            digitalTwins,
+            filters: { type, make, owner, manufacturer, status, from, to, health },
+            timestamp: new Date().toISOString()
+        });
+        
     } catch (error) {
-        console.error('❌ Failed to get identity:', error.message);
-        res.status(500).json({
+        console.error('❌ Search failed:', error.message);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to retrieve identity',
+            error: 'Search operation failed',
             details: error.message,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Update identity
-app.put('/api/identity/:id', async (req, res) => {
+// Get specific identity
+app.get('/api/identity/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const updateData = req.body;
+        console.log(`🔍 Querying identity: ${id}`);
         
-        // Multi-agent coordination for updates
-        const coordinationResult = await multiAgentCoordinator.coordinateIdentityDecision({
-            id: `UPDATE-${id}`,
-            type: 'identity-update',
-            metadata: updateData
-        });
+        // DID documents advertise this route as their service endpoint
+        const identity = await invokeChaincode('ReadIdentity', [id]);
         
-        if (coordinationResult.finalDecision === 'APPROVED') {
+        if (identity) {
             res.json({
                 success: true,
-                message: 'Identity update approved by multi-agent consensus',
-                identityId: id,
-                updateData,
-                coordinationResult,
+                identity,
                 timestamp: new Date().toISOString()
             });
         } else {
-            res.status(400).json({
+            res.status(404).json({
                 success: false,
-                message: 'Identity update rejected by multi-agent consensus',
-                identityId: id,
-                coordinationResult,
+                error: `Identity ${id} not found`,
                 timestamp: new Date().toISOString()
             });
         }
         
     } catch (error) {
-        console.error('❌ Failed to update identity:', error.message);
-        res.status(500).json({
+        console.error('❌ Failed to get identity:', error.message);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to update identity',
+            error: 'Failed to retrieve identity',
             details: error.message,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Verify identity
-app.post('/api/identity/:id/verify', async (req, res) => {
+// Ledger history of an identity (one entry per committed version)
+app.get('/api/identity/:id/history', async (req, res) => {
     try {
         const { id } = req.params;
-        
-        // Multi-agent coordination for verification
-        const coordinationResult = await multiAgentCoordinator.coordinateIdentityDecision({
-            id: `VERIFY-${id}`,
-            type: 'identity-verification',
-            metadata: { verificationRequest: true }
-        });
-        
+        console.log(`🔍 Querying ledger history for identity: ${id}`);
+
+        const ledgerResult = await invokeChaincode('GetIdentityHistory', [id]);
+
         res.json({
             success: true,
-            message: 'Identity verification completed',
             identityId: id,
-            verified: coordinationResult.finalDecision === 'APPROVED',
-            coordinationResult,
+            history: ledgerResult.history || [],
+            totalVersions: ledgerResult.totalVersions || 0,
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
-        console.error('❌ Failed to verify identity:', error.message);
-        res.status(500).json({
+        console.error('❌ Failed to get identity history:', error.message);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to verify identity',
+            error: 'Failed to retrieve identity history',
             details: error.message,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Delete identity (soft delete)
-app.delete('/api/identity/:id', async (req, res) => {
+// Propose an ownership transfer (the caller must be the current owner)
+app.post('/api/identity/:id/transfer', async (req, res) => {
     try {
         const { id } = req.params;
-        
-        // Multi-agent coordination for deletion
+        const { newOwner } = req.body;
+
+        if (!newOwner || !newOwner.mspId || !newOwner.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'newOwner with mspId and id is required'
+            });
+        }
+
+        const ledgerResult = await invokeChaincode('InitiateTransfer', [id, JSON.stringify(newOwner)]);
+
+        res.json({
+            success: true,
+            message: 'Ownership transfer initiated, awaiting acceptance',
+            identityId: id,
+            pendingTransfer: ledgerResult.pendingTransfer,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to initiate transfer:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to initiate ownership transfer',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Accept a pending transfer (the caller must be the proposed recipient)
+app.post('/api/identity/:id/transfer/accept', async (req, res) => {
+    try {
+        const { id } = req.params;
+        // The recipient's own private details ({ owner, ownerContact }) replace the previous owner's
+        const { privateDetails } = req.body || {};
+        const ledgerResult = await invokeChaincode('AcceptTransfer', [id],
+            privateDetails && { privateDetails: { ...privateDetails, salt: crypto.randomBytes(16).toString('hex') } });
+
+        res.json({
+            success: true,
+            message: 'Ownership transfer completed',
+            identityId: id,
+            owner: ledgerResult.owner,
+            transfer: ledgerResult.transfer,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to accept transfer:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to accept ownership transfer',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Withdraw or decline a pending transfer
+app.delete('/api/identity/:id/transfer', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const ledgerResult = await invokeChaincode('CancelTransfer', [id]);
+
+        res.json({
+            success: true,
+            message: 'Ownership transfer cancelled',
+            identityId: id,
+            cancelledBy: ledgerResult.cancelledBy,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to cancel transfer:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to cancel ownership transfer',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Update identity
+app.put('/api/identity/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updateData = req.body;
+
+        if (!updateData || !updateData.data || typeof updateData.data !== 'object') {
+            return res.status(400).json({
+                success: false,
+                error: 'Request body must contain a data object with the fields to update'
+            });
+        }
+        
+        // Multi-agent coordination for updates
         const coordinationResult = await multiAgentCoordinator.coordinateIdentityDecision({
-            id: `DELETE-${id}`,
-            type: 'identity-deletion',
-            metadata: { deletionRequest: true }
+            id: `UPDATE-${id}`,
+            type: 'identity-update',
+            metadata: updateData
         });
         
-        if (coordinationResult.finalDecision === 'APPROVED') {
-            res.json({
-                success: true,
-                message: 'Identity deletion approved by multi-agent consensus',
+        if (coordinationResult.finalDecision !== 'APPROVED') {
+            return res.status(400).json({
+                success: false,
+                message: 'Identity update rejected by multi-agent consensus',
                 identityId: id,
                 coordinationResult,
                 timestamp: new Date().toISOString()
             });
-        } else {
-            res.status(400).json({
+        }
+
+        const existing = await invokeChaincode('ReadIdentity', [id]);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: `Identity ${id} not found`
+            });
+        }
+
+        // Persist the new version on the ledger; changed private fields travel in the transient map
+        const update = { id, type: existing.type, data: { ...updateData.data } };
+        const privateDetails = await separatePrivateDetails([update]);
+        const ledgerResult = await invokeChaincode('UpdateIdentity', [id, JSON.stringify({ data: update.data })],
+            privateDetails && { privateDetails: privateDetails[id] });
+
+        console.log(`✅ Identity ${id} updated on blockchain (version ${ledgerResult.version})`);
+
+        res.json({
+            success: true,
+            message: 'Identity updated on blockchain after multi-agent approval',
+            identityId: id,
+            version: ledgerResult.version,
+            previousVersionHash: ledgerResult.previousVersionHash,
+            transactionId: ledgerResult.transactionId,
+            validationTrace: ledgerResult.validationTrace,
+            coordinationResult,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to update identity:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to update identity',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Verify identity
+app.post('/api/identity/:id/verify', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Multi-agent coordination for verification
+        const coordinationResult = await multiAgentCoordinator.coordinateIdentityDecision({
+            id: `VERIFY-${id}`,
+            type: 'identity-verification',
+            metadata: { verificationRequest: true }
+        });
+        
+        res.json({
+            success: true,
+            message: 'Identity verification completed',
+            identityId: id,
+            verified: coordinationResult.finalDecision === 'APPROVED',
+            coordinationResult,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to verify identity:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify identity',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Delete identity (soft delete via the ledger lifecycle: the record is revoked, never removed)
+app.delete('/api/identity/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reasonCode, note } = req.body || {};
+        
+        // Multi-agent coordination for deletion
+        const coordinationResult = await multiAgentCoordinator.coordinateIdentityDecision({
+            id: `DELETE-${id}`,
+            type: 'identity-deletion',
+            metadata: { deletionRequest: true, reasonCode }
+        });
+        
+        if (coordinationResult.finalDecision !== 'APPROVED') {
+            return res.status(400).json({
                 success: false,
                 message: 'Identity deletion rejected by multi-agent consensus',
                 identityId: id,
@@ -3163,10 +3772,25 @@ app.delete('/api/identity/:id', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         }
+
+        const ledgerResult = await invokeChaincode('RevokeIdentity', [id, reasonCode || 'decommissioned', note || '']);
+
+        console.log(`✅ Identity ${id} revoked on blockchain`);
+
+        res.json({
+            success: true,
+            message: 'Identity revoked (soft delete) after multi-agent approval',
+            identityId: id,
+            status: ledgerResult.status,
+            version: ledgerResult.version,
+            change: ledgerResult.change,
+            coordinationResult,
+            timestamp: new Date().toISOString()
+        });
         
     } catch (error) {
         console.error('❌ Failed to delete identity:', error.message);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to delete identity',
             details: error.message,
@@ -3175,49 +3799,713 @@ app.delete('/api/identity/:id', async (req, res) => {
     }
 });
 
-// Search identities
-app.get('/api/identity/search', async (req, res) => {
+// Suspend or reinstate an identity
+app.post('/api/identity/:id/:action(suspend|reinstate)', async (req, res) => {
     try {
-        const { type, owner, status } = req.query;
-        
-        console.log(`🔍 Searching identities with filters: type=${type}, owner=${owner}, status=${status}`);
-        
-        // For demo purposes, return filtered results based on digital twins
-        const allTwins = digitalTwinManager.getAllTwins();
-        let filteredResults = allTwins;
-        
-        if (type) {
-            filteredResults = filteredResults.filter(twin => twin.type === type);
+        const { id, action } = req.params;
+        const { reasonCode, note } = req.body;
+
+        if (!reasonCode) {
+            return res.status(400).json({
+                success: false,
+                error: 'reasonCode is required'
+            });
         }
-        
-        if (owner) {
-            filteredResults = filteredResults.filter(twin => 
-                twin.metadata.owner && twin.metadata.owner.toLowerCase().includes(owner.toLowerCase())
-            );
+
+        const method = action === 'suspend' ? 'SuspendIdentity' : 'ReinstateIdentity';
+        const ledgerResult = await invokeChaincode(method, [id, reasonCode, note || '']);
+
+        res.json({
+            success: true,
+            identityId: id,
+            status: ledgerResult.status,
+            version: ledgerResult.version,
+            change: ledgerResult.change,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(`❌ Failed to ${req.params.action} identity:`, error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: `Failed to ${req.params.action} identity`,
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================================================
+// 🎫 VERIFIABLE CREDENTIAL API ENDPOINTS
+// ============================================================================
+
+// Issue a signed credential for an active identity, anchored on the ledger
+app.post('/api/credentials/issue', async (req, res) => {
+    try {
+        const { identityId } = req.body;
+        if (!identityId) {
+            return res.status(400).json({
+                success: false,
+                error: 'identityId is required'
+            });
         }
-        
-        if (status) {
-            filteredResults = filteredResults.filter(twin => {
-                if (status === 'healthy') return twin.healthScore > 80;
-                if (status === 'warning') return twin.healthScore > 50 && twin.healthScore <= 80;
-                if (status === 'critical') return twin.healthScore <= 50;
-                return true;
+
+        const identity = await invokeChaincode('ReadIdentity', [identityId]);
+        if (!identity) {
+            return res.status(404).json({
+                success: false,
+                error: `Identity ${identityId} not found`
             });
         }
-        
+
+        const unsigned = credentialService.buildCredential(identity);
+        const ledgerResult = await invokeChaincode('IssueCredential', [identityId, JSON.stringify(unsigned)]);
+        const credential = credentialService.sign(ledgerResult.credential);
+
         res.json({
             success: true,
-            results: filteredResults,
-            totalResults: filteredResults.length,
-            filters: { type, owner, status },
+            credential,
+            credentialHash: ledgerResult.record.credentialHash,
+            statusListIndex: ledgerResult.record.statusListIndex,
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
-        console.error('❌ Search failed:', error.message);
-        res.status(500).json({
+        console.error('❌ Failed to issue credential:', error.message);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Search operation failed',
+            error: 'Failed to issue credential',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Verify a presented credential: issuer signature, on-chain hash and revocation status
+app.post('/api/credentials/verify', async (req, res) => {
+    try {
+        const { credential } = req.body;
+        if (!credential || !credential.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'credential with an id is required'
+            });
+        }
+
+        const checks = { signature: credentialService.verifySignature(credential) };
+
+        let ledgerStatus = null;
+        try {
+            ledgerStatus = await invokeChaincode('GetCredentialStatus', [credential.id]);
+        } catch (error) {
+            checks.onChainHash = { valid: false, reason: `Credential not found on the ledger: ${error.message}` };
+            checks.revocation = { valid: false, reason: 'Revocation status unavailable' };
+        }
+
+        if (ledgerStatus) {
+            const hashMatches = credentialService.hash(credential) === ledgerStatus.credentialHash;
+            checks.onChainHash = {
+                valid: hashMatches,
+                reason: hashMatches ? 'Credential matches the anchored hash' : 'Credential was altered after issuance'
+            };
+            checks.revocation = {
+                valid: !ledgerStatus.revoked,
+                reason: ledgerStatus.status === 'revoked'
+                    ? `Credential revoked (${ledgerStatus.revocation.reasonCode})`
+                    : ledgerStatus.revoked ? `Identity is ${ledgerStatus.identityStatus}` : 'Not revoked'
+            };
+        }
+
+        const verified = Object.values(checks).every(check => check.valid);
+
+        res.json({
+            success: true,
+            credentialId: credential.id,
+            verified,
+            checks,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to verify credential:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to verify credential',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Revoke an issued credential
+app.post('/api/credentials/revoke', async (req, res) => {
+    try {
+        const { credentialId, reasonCode, note } = req.body;
+        if (!credentialId || !reasonCode) {
+            return res.status(400).json({
+                success: false,
+                error: 'credentialId and reasonCode are required'
+            });
+        }
+
+        const ledgerResult = await invokeChaincode('RevokeCredential', [credentialId, reasonCode, note || '']);
+
+        res.json({
+            success: true,
+            credentialId,
+            status: ledgerResult.status,
+            revocation: ledgerResult.revocation,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to revoke credential:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to revoke credential',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================================================
+// 🆔 DID API ENDPOINTS
+// ============================================================================
+
+// Service endpoints published in an identity's DID document by default
+function defaultDidServices(identity) {
+    const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
+    const services = [
+        { id: 'identity', type: 'IdentityRegistryService', serviceEndpoint: `${baseUrl}/api/identity/${encodeURIComponent(identity.id)}` }
+    ];
+    if (identity.type === 'vehicle' && identity.data && identity.data.vin) {
+        services.push({ id: 'twin', type: 'DigitalTwinService', serviceEndpoint: `${baseUrl}/api/twin/${identity.data.vin}` });
+    }
+    return services;
+}
+
+// Publish a DID document for an identity: { verificationMethods: [{ id, publicKey }], services? }
+app.post('/api/identity/:id/did', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { verificationMethods, services } = req.body;
+
+        if (!Array.isArray(verificationMethods) || verificationMethods.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'verificationMethods with at least one { id, publicKey } entry is required'
+            });
+        }
+
+        const identity = await invokeChaincode('ReadIdentity', [id]);
+        if (!identity) {
+            return res.status(404).json({
+                success: false,
+                error: `Identity ${id} not found`
+            });
+        }
+        const ledgerResult = await invokeChaincode('CreateDIDDocument', [id, JSON.stringify({
+            verificationMethods,
+            services: services || defaultDidServices(identity)
+        })]);
+
+        res.json({
+            success: true,
+            did: ledgerResult.did,
+            didDocument: ledgerResult.didDocument,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to create DID document:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to create DID document',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Rotate keys or replace services: { addVerificationMethods, removeVerificationMethods, services, deactivate }
+app.patch('/api/identity/:id/did', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const identity = await invokeChaincode('ReadIdentity', [id]);
+        if (!identity) {
+            return res.status(404).json({
+                success: false,
+                error: `Identity ${id} not found`
+            });
+        }
+        const did = `did:udif:${identity.type}:${id}`;
+
+        const ledgerResult = await invokeChaincode('UpdateDIDDocument', [did, JSON.stringify(req.body)]);
+
+        res.json({
+            success: true,
+            did,
+            versionId: ledgerResult.versionId,
+            didDocument: ledgerResult.didDocument,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to update DID document:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to update DID document',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Report leaked DID keys: { compromisedAt, note }. The keys are revoked from
+// compromisedAt on and the identity is suspended until a PATCH adds a new key.
+app.post('/api/identity/:id/did/compromise', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { compromisedAt, note } = req.body || {};
+        const ledgerResult = await invokeChaincode('ReportKeyCompromise', [id, compromisedAt || '', note || '']);
+
+        res.json({
+            success: true,
+            did: ledgerResult.did,
+            status: ledgerResult.status,
+            invalidatedKeys: ledgerResult.invalidatedKeys,
+            keyHistory: ledgerResult.keyHistory,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to report key compromise:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to report key compromise',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Universal Resolver driver interface
+app.get('/1.0/identifiers/:did', async (req, res) => {
+    const { did } = req.params;
+    try {
+        const resolution = await invokeChaincode('ResolveDID', [did]);
+
+        if (resolution.didDocumentMetadata.deactivated) {
+            res.status(410);
+        }
+        if ((req.get('Accept') || '').includes('application/did+ld+json')) {
+            return res.type('application/did+ld+json').send(JSON.stringify(resolution.didDocument));
+        }
+        res.type('application/ld+json;profile="https://w3id.org/did-resolution"')
+            .send(JSON.stringify(resolution));
+
+    } catch (error) {
+        // The chaincode leads resolution errors with their DID Core error code
+        const code = (error.message.match(/(invalidDid|notFound)/) || [])[1] || 'internalError';
+        const status = { invalidDid: 400, notFound: 404 }[code] || error.status || 500;
+        console.error(`❌ Failed to resolve ${did}:`, error.message);
+        res.status(status)
+            .type('application/ld+json;profile="https://w3id.org/did-resolution"')
+            .send(JSON.stringify({
+                didDocument: null,
+                didDocumentMetadata: {},
+                didResolutionMetadata: { error: code, message: error.message }
+            }));
+    }
+});
+
+// ============================================================================
+// 🔗 IDENTITY LINK API ENDPOINTS
+// ============================================================================
+
+// Link two identities: { relation: attachedTo|installedIn|ownedBy, to }
+app.post('/api/identity/:id/links', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { relation, to } = req.body;
+
+        if (!relation || !to) {
+            return res.status(400).json({
+                success: false,
+                error: 'relation and to are required'
+            });
+        }
+
+        const ledgerResult = await invokeChaincode('LinkIdentities', [id, relation, to]);
+
+        res.json({
+            success: true,
+            link: ledgerResult.link,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to link identities:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to link identities',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.delete('/api/identity/:id/links/:relation/:to', async (req, res) => {
+    try {
+        const { id, relation, to } = req.params;
+        await invokeChaincode('UnlinkIdentities', [id, relation, to]);
+
+        res.json({
+            success: true,
+            message: `${id} is no longer ${relation} ${to}`,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to unlink identities:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to unlink identities',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Identities reachable over links, up to ?depth= hops (default 1, at most 5)
+app.get('/api/identity/:id/related', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const ledgerResult = await invokeChaincode('GetRelatedIdentities', [id, String(req.query.depth || 1)]);
+
+        res.json({
+            success: true,
+            identityId: id,
+            related: ledgerResult.related,
+            links: ledgerResult.links,
+            totalCount: ledgerResult.totalCount,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get related identities:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to get related identities',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Agent voting on a pending registration. Votes are not submitted here: each
+// agent sends CastAgentVote with its own enrolled client identity.
+app.get('/api/identity/:id/proposal', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const proposal = await invokeChaincode('GetProposal', [id]);
+
+        res.json({
+            success: true,
+            identityId: id,
+            status: proposal.status,
+            deadline: proposal.deadline,
+            eligibleAgents: proposal.eligibleAgents,
+            votes: proposal.votes,
+            tally: proposal.tally,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get proposal:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to get proposal',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// A twin together with the twins of every identity linked to it, e.g. a pet
+// with its collar or a vehicle with its telematics box
+app.get('/api/twins/:identityId/connected', async (req, res) => {
+    try {
+        const { identityId } = req.params;
+        const ledgerResult = await invokeChaincode('GetRelatedIdentities', [identityId, String(req.query.depth || 1)]);
+
+        const connected = ledgerResult.related.map(item => ({
+            ...item,
+            twin: digitalTwinManager.findTwinForIdentity(item.id)
+        }));
+
+        res.json({
+            success: true,
+            identityId,
+            twin: digitalTwinManager.findTwinForIdentity(identityId),
+            connected,
+            links: ledgerResult.links,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get connected twins:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to get connected twins',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================================================
+// 🤖 DEVICE AGENT API ENDPOINTS
+// ============================================================================
+
+// Register a device agent (device-model/device-identity-schema.json). Validators
+// also send { weight, enrollment: { mspId, id } } for consensus voting.
+app.post('/api/device-agents', async (req, res) => {
+    try {
+        const ledgerResult = await invokeChaincode('RegisterAgent', [JSON.stringify(req.body)]);
+
+        res.status(201).json({
+            success: true,
+            agent: ledgerResult.agent,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to register device agent:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to register device agent',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// List device agents, optionally ?role=sensor|validator|userDevice
+app.get('/api/device-agents', async (req, res) => {
+    try {
+        const ledgerResult = await invokeChaincode('ListAgents', [req.query.role || '']);
+
+        res.json({
+            success: true,
+            agents: ledgerResult.agents,
+            totalCount: ledgerResult.totalCount,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to list device agents:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to list device agents',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/device-agents/:agentId', async (req, res) => {
+    try {
+        const agent = await invokeChaincode('GetAgent', [req.params.agentId]);
+
+        res.json({
+            success: true,
+            agent,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to get device agent:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to get device agent',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Change an agent's state: { state: active|suspended|revoked, reason }
+app.patch('/api/device-agents/:agentId', async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const { state, reason } = req.body;
+
+        if (!state) {
+            return res.status(400).json({
+                success: false,
+                error: 'state is required'
+            });
+        }
+
+        const ledgerResult = await invokeChaincode('UpdateAgentState', [agentId, state, reason || '']);
+
+        res.json({
+            success: true,
+            agent: ledgerResult.agent,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to update device agent:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to update device agent',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Soft delete: the agent is revoked on the ledger and keeps its record
+app.delete('/api/device-agents/:agentId', async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const { reason } = req.body || {};
+        const ledgerResult = await invokeChaincode('UpdateAgentState', [agentId, 'revoked', reason || '']);
+
+        res.json({
+            success: true,
+            message: 'Device agent revoked (soft delete)',
+            agent: ledgerResult.agent,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to delete device agent:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to delete device agent',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Rotate to { publicKey, signature }. The signature is the current key's base64
+// signature of "RotateDeviceKey\n<agentId>\n<currentKeyId>\n<publicKey>";
+// without one only an admin may rotate.
+app.post('/api/device-agents/:agentId/keys', async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const { publicKey, signature } = req.body;
+
+        if (!publicKey) {
+            return res.status(400).json({
+                success: false,
+                error: 'publicKey is required'
+            });
+        }
+
+        const ledgerResult = await invokeChaincode('RotateDeviceKey', [agentId, publicKey, signature || '']);
+
+        res.json({
+            success: true,
+            keyId: ledgerResult.keyId,
+            keyHistory: ledgerResult.keyHistory,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to rotate device key:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to rotate device key',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Report a leaked key: { compromisedAt, note }. Signatures from compromisedAt on
+// stop verifying and the agent is suspended until an admin rotates its key.
+app.post('/api/device-agents/:agentId/compromise', async (req, res) => {
+    try {
+        const { agentId } = req.params;
+        const { compromisedAt, note } = req.body || {};
+        const ledgerResult = await invokeChaincode('ReportKeyCompromise', [agentId, compromisedAt || '', note || '']);
+
+        res.json({
+            success: true,
+            state: ledgerResult.state,
+            invalidatedKeys: ledgerResult.invalidatedKeys,
+            keyHistory: ledgerResult.keyHistory,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to report key compromise:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to report key compromise',
+            details: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ============================================================================
+// 🔐 DEVICE AUTHENTICATION API ENDPOINTS
+// ============================================================================
+
+// Step 1: issue a nonce for { deviceId } (an agent id or an identity id)
+app.post('/api/device-auth/challenge', (req, res) => {
+    const { deviceId } = req.body;
+    if (!deviceId) {
+        return res.status(400).json({
+            success: false,
+            error: 'deviceId is required'
+        });
+    }
+
+    res.json({
+        success: true,
+        ...deviceChallengeService.issue(deviceId),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Step 2: an IdentityRequest whose payload.credentials is the base64 signature of
+// the nonce. Answers with an IdentityVerification message (401 when denied).
+app.post('/api/device-auth/verify', async (req, res) => {
+    try {
+        const { type, from, payload } = req.body;
+        if (type !== 'IdentityRequest' || !from || !payload || payload.requestType !== 'authenticate' || !payload.credentials) {
+            return res.status(400).json({
+                success: false,
+                error: 'Expected an IdentityRequest with requestType authenticate and the signed nonce as credentials'
+            });
+        }
+
+        const nonce = deviceChallengeService.take(from);
+        const verification = nonce
+            ? await invokeChaincode('VerifyDeviceSignature', [from, nonce, payload.credentials])
+            : deviceChallengeService.deny(from, 'No open challenge for this device; request a new nonce');
+        const approved = verification.payload.verificationStatus === 'approved';
+
+        console.log(`${approved ? '✅' : '❌'} Device ${from}: ${verification.payload.reason}`);
+        res.status(approved ? 200 : 401).json({
+            success: approved,
+            verification,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to verify device signature:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: 'Failed to verify device signature',
             details: error.message,
             timestamp: new Date().toISOString()
         });
@@ -3434,7 +4722,9 @@ app.listen(PORT, () => {
     console.log('  GET  /api/twin/:vin/telemetry - Get telemetry data');
     console.log('  GET  /api/twin/:vin/diagnostic - Generate diagnostic report');
     console.log('  POST /api/twin/:vin/maintenance - Add maintenance record');
+    console.log('  GET  /api/twin/:vin/mileage - Ledger odometer log');
     console.log('  GET  /api/twins/list - List all digital twins');
+    console.log('  GET  /api/twins/:identityId/connected - Twin with its linked twins');
     
     // Display pet digital twin endpoints
     console.log('\n🐕 Pet Digital Twin Endpoints:');
@@ -3473,10 +4763,37 @@ app.listen(PORT, () => {
     // Display enhanced identity management endpoints
     console.log('\n🔍 Enhanced Identity Management:');
     console.log('  GET    /api/identity/:id - Get specific identity');
+    console.log('  GET    /api/identity/:id/history - Ledger history of an identity');
     console.log('  PUT    /api/identity/:id - Update identity');
     console.log('  POST   /api/identity/:id/verify - Verify identity');
-    console.log('  DELETE /api/identity/:id - Delete identity (soft)');
+    console.log('  DELETE /api/identity/:id - Delete identity (soft, revokes on ledger)');
+    console.log('  POST   /api/identity/:id/suspend - Suspend identity');
+    console.log('  POST   /api/identity/:id/reinstate - Reinstate identity');
+    console.log('  POST   /api/identity/:id/transfer - Initiate ownership transfer');
+    console.log('  POST   /api/identity/:id/transfer/accept - Accept ownership transfer');
+    console.log('  DELETE /api/identity/:id/transfer - Cancel ownership transfer');
     console.log('  GET    /api/identity/search - Search identities');
+    console.log('  POST   /api/credentials/issue - Issue a verifiable credential');
+    console.log('  POST   /api/credentials/verify - Verify a verifiable credential');
+    console.log('  POST   /api/credentials/revoke - Revoke a verifiable credential');
+    console.log('  POST   /api/identity/:id/did - Publish a DID document');
+    console.log('  PATCH  /api/identity/:id/did - Rotate DID keys or services');
+    console.log('  POST   /api/identity/:id/did/compromise - Report compromised DID keys');
+    console.log('  GET    /1.0/identifiers/:did - Resolve a did:udif identifier');
+    console.log('  POST   /api/identity/register/batch - Register many identities (JSON or CSV)');
+    console.log('  POST   /api/identity/:id/links - Link to another identity');
+    console.log('  DELETE /api/identity/:id/links/:relation/:to - Remove a link');
+    console.log('  GET    /api/identity/:id/related - Linked identities (?depth=)');
+    console.log('  GET    /api/identity/:id/proposal - Agent votes on a pending registration');
+    console.log('  POST   /api/device-agents - Register a device agent');
+    console.log('  GET    /api/device-agents - List device agents (?role=)');
+    console.log('  GET    /api/device-agents/:agentId - Get a device agent');
+    console.log('  PATCH  /api/device-agents/:agentId - Change a device agent\'s state');
+    console.log('  DELETE /api/device-agents/:agentId - Revoke a device agent');
+    console.log('  POST   /api/device-agents/:agentId/keys - Rotate a device agent\'s key');
+    console.log('  POST   /api/device-agents/:agentId/compromise - Report a compromised device key');
+    console.log('  POST   /api/device-auth/challenge - Issue a signing nonce to a device');
+    console.log('  POST   /api/device-auth/verify - Verify a signed nonce (IdentityRequest)');
     console.log('  POST   /api/test/identity-crud - Test all operations');
     console.log('  GET    /api/test/comprehensive - Test all new features');  // NEW
     
@@ -0,0 +1,29 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Copy of canonicalJson and hashCredential from the chaincode's lib/credentials.js,
+// so the dashboard deploys on its own. The ledger compares the hash computed
+// here with its own; the chaincode test suite checks both produce the same value.
+
+// Sorted-key JSON, so the dashboard and the chaincode hash the same bytes
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Hash of the credential without its proof
+function hashCredential(credential) {
+    const { proof, ...unsigned } = credential;
+    return crypto.createHash('sha256').update(canonicalJson(unsigned)).digest('hex');
+}
+
+module.exports = { canonicalJson, hashCredential };